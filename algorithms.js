@@ -1,6 +1,7 @@
 /**
- * An inefficient port of the data-structure in Python
+ * A port of the data-structure in Python backed by a binary heap
  * @see https://github.com/aimacode/aima-python/blob/master/utils.py#L688
+ * @see https://en.wikipedia.org/wiki/Binary_heap
  */
 class PriorityQueue {
   /**
@@ -21,54 +22,190 @@ class PriorityQueue {
     }
     this.id = id
 
-    this.__queue = []
+    this.__heap = [] // [cost, id, item], the item with the highest cost is on the top
+    this.__indexes = new Map() // id -> index in the heap
   }
   /**
    * @param {*} item
    */
   append (item) {
     const {f, id} = this
-    this.__queue.push([f(item), id(item), item]) // cost, id, item
-    this.__queue.sort((a, b) => a[0] - b[0])
+    const itemId = id(item)
+    if (this.__indexes.has(itemId)) {
+      this.update(item)
+      return
+    }
+    const idx = this.__heap.length
+    this.__heap.push([f(item), itemId, item]) // cost, id, item
+    this.__indexes.set(itemId, idx)
+    this.__siftUp(idx)
   }
   /**
    * @param {*} item
    * @return {Boolean}
    */
   contains (item) {
-    const itemId = this.id(item)
-    return this.__queue.some(x => x[1] === itemId)
+    return this.__indexes.has(this.id(item))
   }
   /**
    * @param {*} item
    */
   get (item) {
-    const itemId = this.id(item)
-    const idx = this.__queue.findIndex(x => x[1] === itemId)
-    const [cost, id, foundItem] = this.__queue[idx]
+    const idx = this.__indexes.get(this.id(item))
+    const [cost, id, foundItem] = this.__heap[idx]
     return foundItem
   }
   /**
    * @returns {Number}
    */
   length () {
-    return this.__queue.length
+    return this.__heap.length
   }
   /**
    * @return {*}
    */
   pop () {
-    const [, , item] = this.__queue.pop()
+    const [, , item] = this.__removeAt(0)
     return item
   }
   /**
    * @param {*} item
    */
   remove (item) {
-    const {id} = this
+    const idx = this.__indexes.get(this.id(item))
+    if (idx !== undefined) {
+      this.__removeAt(idx)
+    }
+  }
+  /**
+   * Replaces an item with the same id and restores the order (decrease-key)
+   * @param {*} item
+   */
+  update (item) {
+    const {f, id} = this
     const itemId = id(item)
-    const idx = this.__queue.findIndex(x => x[1] === itemId)
-    this.__queue.splice(idx, 1)
+    const idx = this.__indexes.get(itemId)
+    if (idx === undefined) {
+      throw new Error('Unknown item')
+    }
+    const cost = f(item)
+    const prevCost = this.__heap[idx][0]
+    this.__heap[idx] = [cost, itemId, item]
+    if (cost > prevCost) {
+      this.__siftUp(idx)
+    } else {
+      this.__siftDown(idx)
+    }
+  }
+  /**
+   * @param {Number} idx
+   * @returns {Array} A heap entry
+   */
+  __removeAt (idx) {
+    const heap = this.__heap
+    const entry = heap[idx]
+    const last = heap.pop()
+    this.__indexes.delete(entry[1])
+    if (idx < heap.length) {
+      heap[idx] = last
+      this.__indexes.set(last[1], idx)
+      this.__siftUp(idx)
+      this.__siftDown(idx)
+    }
+    return entry
+  }
+  /**
+   * @param {Number} i
+   * @param {Number} j
+   */
+  __swap (i, j) {
+    const heap = this.__heap
+    const tmp = heap[i]
+    heap[i] = heap[j]
+    heap[j] = tmp
+    this.__indexes.set(heap[i][1], i)
+    this.__indexes.set(heap[j][1], j)
+  }
+  /**
+   * @param {Number} idx
+   */
+  __siftUp (idx) {
+    const heap = this.__heap
+    while (idx > 0) {
+      const parent = (idx - 1) >> 1
+      if (heap[parent][0] >= heap[idx][0]) {
+        break
+      }
+      this.__swap(idx, parent)
+      idx = parent
+    }
+  }
+  /**
+   * @param {Number} idx
+   */
+  __siftDown (idx) {
+    const heap = this.__heap
+    const n = heap.length
+    while (true) {
+      const left = 2 * idx + 1
+      const right = left + 1
+      let top = idx
+      if (left < n && heap[left][0] > heap[top][0]) {
+        top = left
+      }
+      if (right < n && heap[right][0] > heap[top][0]) {
+        top = right
+      }
+      if (top === idx) {
+        break
+      }
+      this.__swap(idx, top)
+      idx = top
+    }
+  }
+}
+/**
+ * A port of the data-structure in Python (a queue where the first appended item goes out first)
+ * @see https://github.com/aimacode/aima-python/blob/master/utils.py
+ */
+class FIFOQueue {
+  /**
+   * @param {Function} [id] An identity function
+   */
+  constructor (id = x => x) {
+    this.id = id
+    this.__items = []
+    this.__head = 0 // index of the first item, items before it are gone
+    this.__ids = new Set()
+  }
+  /**
+   * @param {*} item
+   */
+  append (item) {
+    this.__items.push(item)
+    this.__ids.add(this.id(item))
+  }
+  /**
+   * @param {*} item
+   * @return {Boolean}
+   */
+  contains (item) {
+    return this.__ids.has(this.id(item))
+  }
+  /**
+   * @returns {Number}
+   */
+  length () {
+    return this.__items.length - this.__head
+  }
+  /**
+   * @return {*}
+   */
+  pop () {
+    const item = this.__items[this.__head]
+    this.__items[this.__head++] = undefined
+    this.__ids.delete(this.id(item))
+    return item
   }
 }
 class GraphNode {
@@ -76,11 +213,13 @@ class GraphNode {
    * @param {*} state
    * @param {GraphNode} parent Parent node
    * @param {Number} pathCost
+   * @param {*} [action] An action applied to the parent to get this node
    */
-  constructor (state = null, parent = null, pathCost = 0) {
+  constructor (state = null, parent = null, pathCost = 0, action = null) {
     this.state = state
     this.parent = parent // parent node
     this.pathCost = pathCost
+    this.action = action
   }
 }
 /**
@@ -92,9 +231,12 @@ class GraphNode {
  * @param {Function} options.f
  * @param {Function} options.isGoal
  * @param {Function} options.getSuccessorsOf
+ * @param {Function} [options.onExpand] Instrumentation: gets a node before its successors are generated and the frontier
+ * @param {Function} [options.onEnqueue] Instrumentation: gets a new node of the frontier and the frontier
+ * @param {Function} [options.onImprove] Instrumentation: gets a node which has replaced a worse one (the incumbent) and the frontier
  * @returns {*|null}
  */
-function bestFirstGraphSearch (initialNode, {id, f, isGoal, getSuccessorsOf}) {
+function bestFirstGraphSearch (initialNode, {id, f, isGoal, getSuccessorsOf, onExpand, onEnqueue, onImprove}) {
   // TODO: We have to memorize f function
 
   if (isGoal(initialNode)) {
@@ -111,15 +253,23 @@ function bestFirstGraphSearch (initialNode, {id, f, isGoal, getSuccessorsOf}) {
       return node
     }
     explored.add(id(node))
+    if (onExpand) {
+      onExpand(node, frontier)
+    }
 
     for (const child of getSuccessorsOf(node)) {
       if (!explored.has(id(child)) && !frontier.contains(child)) {
         frontier.append(child)
+        if (onEnqueue) {
+          onEnqueue(child, frontier)
+        }
       } else if (frontier.contains(child)) {
         const incumbent = frontier.get(child)
         if (f(child) < f(incumbent)) {
-          frontier.remove(incumbent)
-          frontier.append(child)
+          frontier.update(child) // decrease-key
+          if (onImprove) {
+            onImprove(child, incumbent, frontier)
+          }
         }
       }
     }
@@ -136,9 +286,217 @@ function bestFirstGraphSearch (initialNode, {id, f, isGoal, getSuccessorsOf}) {
  * @param {Function} options.h
  * @param {Function} options.isGoal
  * @param {Function} options.getSuccessorsOf
+ * @param {Function} [options.onExpand] See bestFirstGraphSearch
+ * @param {Function} [options.onEnqueue] See bestFirstGraphSearch
+ * @param {Function} [options.onImprove] See bestFirstGraphSearch
  * @returns {*|null}
  */
-function astarGraphSearch (initialNode, {id, h, isGoal, getSuccessorsOf}) {
+function astarGraphSearch (initialNode, options) {
+  const {h} = options
   const f = n => n.pathCost + h(n)
-  return bestFirstGraphSearch(initialNode, {id, f, isGoal, getSuccessorsOf})
+  return bestFirstGraphSearch(initialNode, Object.assign({}, options, {f}))
+}
+/**
+ * Weighted A*: the heuristic counts more, so the search is faster but a path may be longer
+ * (at most the weight times longer than the shortest one)
+ * @see https://en.wikipedia.org/wiki/A*_search_algorithm#Bounded_relaxation
+ * @param {GraphNode} initialNode
+ * @param {Object} options See astarGraphSearch
+ * @param {Number} [options.weight]
+ * @returns {*|null}
+ */
+function weightedAstarGraphSearch (initialNode, options) {
+  const {h, weight = 2} = options
+  const f = n => n.pathCost + weight * h(n)
+  return bestFirstGraphSearch(initialNode, Object.assign({}, options, {f}))
+}
+/**
+ * Greedy best-first search: it looks at the heuristic only
+ * @see https://github.com/aimacode/aima-python/blob/master/search.py
+ * @param {GraphNode} initialNode
+ * @param {Object} options See astarGraphSearch
+ * @returns {*|null}
+ */
+function greedyBestFirstGraphSearch (initialNode, options) {
+  const {h} = options
+  return bestFirstGraphSearch(initialNode, Object.assign({}, options, {f: h}))
+}
+/**
+ * Uniform-cost search (Dijkstra's algorithm): it looks at the path cost only
+ * @see https://github.com/aimacode/aima-python/blob/master/search.py
+ * @param {GraphNode} initialNode
+ * @param {Object} options See bestFirstGraphSearch (without options.f)
+ * @returns {*|null}
+ */
+function uniformCostSearch (initialNode, options) {
+  const f = n => n.pathCost
+  return bestFirstGraphSearch(initialNode, Object.assign({}, options, {f}))
+}
+/**
+ * A port of the algorithm implementation in Python
+ * @see https://github.com/aimacode/aima-python/blob/master/search.py
+ * @param {GraphNode} initialNode
+ * @param {Object} options
+ * @param {Function} options.id
+ * @param {Function} options.isGoal
+ * @param {Function} options.getSuccessorsOf
+ * @param {Function} [options.onExpand] See bestFirstGraphSearch
+ * @param {Function} [options.onEnqueue] See bestFirstGraphSearch
+ * @returns {*|null}
+ */
+function breadthFirstGraphSearch (initialNode, {id, isGoal, getSuccessorsOf, onExpand, onEnqueue}) {
+  if (isGoal(initialNode)) {
+    return initialNode
+  }
+
+  const frontier = new FIFOQueue(id)
+  frontier.append(initialNode)
+  const explored = new Set()
+
+  while (frontier.length()) {
+    const node = frontier.pop()
+    explored.add(id(node))
+    if (onExpand) {
+      onExpand(node, frontier)
+    }
+
+    for (const child of getSuccessorsOf(node)) {
+      if (!explored.has(id(child)) && !frontier.contains(child)) {
+        // Every step costs the same, so the first path to a goal is the shortest one
+        if (isGoal(child)) {
+          return child
+        }
+        frontier.append(child)
+        if (onEnqueue) {
+          onEnqueue(child, frontier)
+        }
+      }
+    }
+  }
+
+  return null
+}
+/**
+ * Breadth-first search without a goal: it visits every state which is reachable from the initial one
+ * @param {GraphNode} initialNode
+ * @param {Object} options
+ * @param {Function} options.id
+ * @param {Function} options.getSuccessorsOf
+ * @param {Function} [options.onExpand] See bestFirstGraphSearch
+ * @param {Function} [options.onEnqueue] See bestFirstGraphSearch
+ * @param {Function} [options.isStopped] Gets the nodes visited so far before every next one,
+ * the traversal stops there when it returns true (e.g. a budget is over)
+ * @returns {Array.<GraphNode>} Nodes in order of their path costs, every node has got the shortest path
+ */
+function breadthFirstGraphTraversal (initialNode, {id, getSuccessorsOf, onExpand, onEnqueue, isStopped}) {
+  const frontier = new FIFOQueue(id)
+  frontier.append(initialNode)
+  const explored = new Set()
+  const nodes = []
+
+  while (frontier.length() && !(isStopped && isStopped(nodes))) {
+    const node = frontier.pop()
+    explored.add(id(node))
+    nodes.push(node)
+    if (onExpand) {
+      onExpand(node, frontier)
+    }
+
+    for (const child of getSuccessorsOf(node)) {
+      if (!explored.has(id(child)) && !frontier.contains(child)) {
+        frontier.append(child)
+        if (onEnqueue) {
+          onEnqueue(child, frontier)
+        }
+      }
+    }
+  }
+
+  return nodes
+}
+/**
+ * Iterative deepening A*: depth-first searches bounded by f, the bound grows every time.
+ * It keeps the current path only, so it needs little memory but expands states again and again.
+ * The best path cost of a state within an iteration cuts repeated branches,
+ * and the search stops when the bound cuts only the states which have been expanded anyway
+ * @see https://en.wikipedia.org/wiki/Iterative_deepening_A*
+ * @param {GraphNode} initialNode
+ * @param {Object} options See astarGraphSearch
+ * @returns {*|null}
+ */
+function iterativeDeepeningAstarSearch (initialNode, {id, h, isGoal, getSuccessorsOf, onExpand, onEnqueue}) {
+  const path = [] // the current path plays the frontier for the hooks
+  const frontier = {length: () => path.length}
+  let bestCosts
+  let cutIds
+
+  // Returns the goal node or the least f which has exceeded the bound
+  const search = (node, bound) => {
+    const f = node.pathCost + h(node)
+    if (f > bound) {
+      cutIds.add(id(node))
+      return f
+    }
+    if (isGoal(node)) {
+      return node
+    }
+    const nodeId = id(node)
+    if (bestCosts.has(nodeId) && bestCosts.get(nodeId) <= node.pathCost) {
+      return Infinity
+    }
+    bestCosts.set(nodeId, node.pathCost)
+
+    path.push(node)
+    if (onExpand) {
+      onExpand(node, frontier)
+    }
+    let min = Infinity
+    for (const child of getSuccessorsOf(node)) {
+      if (onEnqueue) {
+        onEnqueue(child, frontier)
+      }
+      const found = search(child, bound)
+      if (found instanceof GraphNode) {
+        return found
+      }
+      min = Math.min(min, found)
+    }
+    path.pop()
+    return min
+  }
+
+  let bound = h(initialNode)
+  while (bound !== Infinity) {
+    bestCosts = new Map()
+    cutIds = new Set()
+    path.length = 0
+    const found = search(initialNode, bound)
+    if (found instanceof GraphNode) {
+      return found
+    }
+    // Every reachable state has been expanded, so a greater bound gives nothing new
+    if ([...cutIds].every(cutId => bestCosts.has(cutId))) {
+      return null
+    }
+    bound = found
+  }
+
+  return null
+}
+
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {
+    PriorityQueue,
+    FIFOQueue,
+    GraphNode,
+    bestFirstGraphSearch,
+    astarGraphSearch,
+    weightedAstarGraphSearch,
+    greedyBestFirstGraphSearch,
+    uniformCostSearch,
+    breadthFirstGraphSearch,
+    breadthFirstGraphTraversal,
+    iterativeDeepeningAstarSearch
+  }
 }
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/*
+  Plays many seeded games with one or more configs of the agent and reports
+  how strong (lines, pieces, holes) and how fast (nodes, planning time) it is
+
+    node benchmark.js --seeds 1-20 --count 100
+    node benchmark.js --config a.json --config b.json --format csv
+ */
+
+const fs = require('fs')
+const path = require('path')
+const {TetrisGame} = require('./index')
+const {parseArgs} = require('./cli')
+
+const USAGE = `Usage: node benchmark.js [options]
+
+Options:
+  --config <file>       A config of the agent (see TetrisGame.fromConfig), may be repeated.
+                        It may have a "name", the file name by default
+  --seeds <seeds>       Seeds of games, e.g. 1-20 or 1,5,7 (1-10 by default)
+  --count <number>      Count of figures per game (100 by default), 1 measures single placements
+  --strategies <types>  Plays every config with every search strategy, e.g. astar,bfs,ida-star
+  --format <type>       json (default) or csv
+  --help                Shows this message
+`
+
+const FLAGS = ['help']
+
+const LISTS = ['config']
+
+/**
+ * @param {String} text e.g. "1-20" or "1,5,7"
+ * @returns {Array.<Number>}
+ */
+function parseSeeds (text) {
+  const seeds = []
+  for (const part of text.split(',')) {
+    const [from, to = from] = part.split('-').map(Number)
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from > to) {
+      throw new Error(`Wrong seeds "${part}"`)
+    }
+    for (let seed = from; seed <= to; seed++) {
+      seeds.push(seed)
+    }
+  }
+  return seeds
+}
+
+/**
+ * Plays a single game until it is over or the count of figures is reached
+ * @param {Object} config
+ * @param {Number} seed
+ * @param {Number} count
+ * @returns {Object} A run with totals of the game and nodes, planning time and actions per figure
+ */
+function playGame (config, seed, count) {
+  const game = TetrisGame.fromConfig(Object.assign({}, config, {seed}))
+  const {evaluator} = game.options
+  const countHoles = world => evaluator.countHoles(world.walls, world.width)
+
+  const run = {seed, pieces: 0, lines: 0, score: 0, holes: 0, isOver: false, nodes: [], times: [], actions: []}
+  let holes = countHoles(game.world)
+  while (game.pieces < count) {
+    const turn = game.step()
+    if (!turn) {
+      break
+    }
+    const {plan} = turn
+    run.nodes.push(plan.nodeCount)
+    run.times.push(plan.planningTime)
+    run.actions.push(plan.actions.length)
+
+    // Only new holes count, clearing of rows opens old ones
+    const nextHoles = countHoles(game.world)
+    run.holes += Math.max(nextHoles - holes, 0)
+    holes = nextHoles
+  }
+
+  run.pieces = game.pieces
+  run.lines = game.lines
+  run.score = game.score
+  run.isOver = game.isOver
+  return run
+}
+
+/**
+ * @param {Array.<Number>} values
+ * @returns {{count: Number, min: Number, max: Number, mean: Number, median: Number, p90: Number}}
+ */
+function summarize (values) {
+  const sorted = values.slice().sort((a, b) => a - b)
+  const count = sorted.length
+  // The nearest-rank method
+  const percentile = p => count > 0 ? sorted[Math.max(Math.ceil(p / 100 * count) - 1, 0)] : 0
+  return {
+    count,
+    min: count > 0 ? sorted[0] : 0,
+    max: count > 0 ? sorted[count - 1] : 0,
+    mean: count > 0 ? sorted.reduce((sum, v) => sum + v, 0) / count : 0,
+    median: percentile(50),
+    p90: percentile(90)
+  }
+}
+
+/**
+ * @param {Array.<{name: String, config: Object}>} configs
+ * @param {Array.<Number>} seeds
+ * @param {Number} count Count of figures per game
+ * @returns {Array.<Object>} A result per config
+ */
+function benchmark (configs, seeds, count) {
+  return configs.map(({name, config}) => {
+    const runs = seeds.map(seed => playGame(config, seed, count))
+    const sum = key => runs.reduce((s, run) => s + run[key], 0)
+    const flatten = key => [].concat(...runs.map(run => run[key]))
+    return {
+      name,
+      config,
+      summary: {
+        games: runs.length,
+        gamesOver: runs.filter(run => run.isOver).length,
+        pieces: sum('pieces'),
+        lines: summarize(runs.map(run => run.lines)),
+        survived: summarize(runs.map(run => run.pieces)),
+        holes: summarize(runs.map(run => run.holes)),
+        nodes: summarize(flatten('nodes')),
+        time: summarize(flatten('times')),
+        actions: summarize(flatten('actions'))
+      },
+      runs
+    }
+  })
+}
+
+/**
+ * One row per config, so the rows of two configs (or two commits) can be compared
+ * @param {Array.<Object>} results
+ * @returns {String}
+ */
+function toCSV (results) {
+  const columns = [
+    ['name', s => s.name],
+    ['games', s => s.games],
+    ['games_over', s => s.gamesOver],
+    ['pieces', s => s.pieces]
+  ]
+  for (const key of ['lines', 'survived', 'holes']) {
+    columns.push([`${key}_mean`, s => s[key].mean], [`${key}_min`, s => s[key].min], [`${key}_max`, s => s[key].max])
+  }
+  for (const key of ['nodes', 'time', 'actions']) {
+    for (const stat of ['mean', 'median', 'p90', 'max']) {
+      columns.push([`${key}_${stat}`, s => s[key][stat]])
+    }
+  }
+
+  const format = value => {
+    if (typeof value === 'number') {
+      return String(Number.isInteger(value) ? value : value.toFixed(3))
+    }
+    const text = String(value)
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+  const rows = results.map(({name, summary}) => {
+    const s = Object.assign({name}, summary)
+    return columns.map(([, get]) => format(get(s))).join(',')
+  })
+  return [columns.map(([title]) => title).join(',')].concat(rows).join('\n') + '\n'
+}
+
+/**
+ * @param {Array.<String>} argv
+ */
+function main (argv) {
+  const args = parseArgs(argv, FLAGS, LISTS)
+  if (args.help) {
+    process.stdout.write(USAGE)
+    return
+  }
+
+  let configs = (args.config || []).map(file => {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'))
+    return {name: config.name || path.basename(file, '.json'), config}
+  })
+  if (configs.length === 0) {
+    configs.push({name: 'default', config: {}})
+  }
+  if (args.strategies) {
+    // The same games with every strategy, so the algorithms are compared on the same boards
+    const strategies = args.strategies.split(',')
+    configs = [].concat(...configs.map(({name, config}) => strategies.map(strategy => {
+      return {name: `${name}/${strategy}`, config: Object.assign({}, config, {strategy})}
+    })))
+  }
+  const seeds = parseSeeds(args.seeds || '1-10')
+  const count = args.count === undefined ? 100 : Number(args.count)
+
+  const results = benchmark(configs, seeds, count)
+  switch (args.format || 'json') {
+    case 'json':
+      process.stdout.write(JSON.stringify(results, null, 2) + '\n')
+      break
+    case 'csv':
+      process.stdout.write(toCSV(results))
+      break
+    default:
+      throw new Error('Unknown format')
+  }
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2))
+  } catch (err) {
+    console.error(err.message)
+    console.error(USAGE)
+    process.exitCode = 1
+  }
+} else {
+  module.exports = {parseSeeds, playGame, summarize, benchmark, toCSV}
+}
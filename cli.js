@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/*
+  Runs the agent without a browser and prints the world and plans as text
+
+    node cli.js --seed 42 --count 10
+    node cli.js --board board.txt --pieces TIOL --rotation none
+    node cli.js --board v115@9gF8DeF8DeF8DeF8NeAgH --pieces I
+    node cli.js --seed 42 --count 10 --piece-set pentominoes
+ */
+
+const fs = require('fs')
+const {TetrisGame, TetrisReplay, TetrisFumen, TetrisFigure} = require('./index')
+
+const USAGE = `Usage: node cli.js [options]
+
+Options:
+  --seed <number>       Makes the walls and figures reproducible
+  --board <file>        A world as text ("." is empty, "#" is a wall), random walls by default.
+                        A fumen string (v115@...) may go instead of a file
+  --pieces <kinds>      A sequence of figures, e.g. TIOL or I5L5T (see pieces.js)
+  --piece-set <name>    standard (default), triominoes or pentominoes
+  --randomizer <type>   uniform, bag (default), nes or tgm (TGM1)
+  --count <number>      Count of figures to play (the length of --pieces or 1 by default)
+  --rotation <type>     none or srs (default)
+  --search <type>       backward (default), forward or reachable
+  --strategy <type>     astar (default), weighted-astar, greedy, uniform-cost, bfs or ida-star
+  --weight <number>     A weight of the heuristic for weighted-astar (2 by default)
+  --preview <number>    Count of the next figures which the agent sees
+  --hold                The agent may use the hold slot
+  --weights <file>      A config of the evaluator, e.g. {"weights": {"holes": -7.9}}
+  --replay <file>       Saves a replay of the game (see replay.js)
+  --help                Shows this message
+`
+
+const FLAGS = ['hold', 'help']
+
+/**
+ * @param {Array.<String>} argv
+ * @param {Array.<String>} [flags] Options without values
+ * @param {Array.<String>} [lists] Options which may be repeated (they give arrays)
+ * @returns {Object.<String, (String|Boolean|Array.<String>)>}
+ */
+function parseArgs (argv, flags = FLAGS, lists = []) {
+  const args = {}
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument "${arg}"`)
+    }
+    const name = arg.slice(2)
+    if (flags.includes(name)) {
+      args[name] = true
+    } else if (i + 1 < argv.length) {
+      const value = argv[++i]
+      args[name] = lists.includes(name) ? (args[name] || []).concat(value) : value
+    } else {
+      throw new Error(`Option "${arg}" needs a value`)
+    }
+  }
+  return args
+}
+
+/**
+ * @param {Object} args
+ * @returns {{game: TetrisGame, config: Object, count: Number}}
+ */
+function createGame (args) {
+  const config = {
+    seed: args.seed === undefined ? undefined : Number(args.seed),
+    board: args.board && (TetrisFumen.isFumen(args.board) ? args.board : fs.readFileSync(args.board, 'utf8')),
+    pieces: args.pieces && args.pieces.toUpperCase(),
+    pieceSet: args['piece-set'],
+    randomizer: args.randomizer,
+    rotation: args.rotation,
+    search: args.search,
+    strategy: args.strategy,
+    weight: args.weight === undefined ? undefined : Number(args.weight),
+    preview: args.preview,
+    hold: args.hold,
+    evaluator: args.weights && JSON.parse(fs.readFileSync(args.weights, 'utf8'))
+  }
+  // Keys without values get defaults of TetrisGame.fromConfig
+  for (const key of Object.keys(config)) {
+    if (config[key] === undefined) {
+      delete config[key]
+    }
+  }
+
+  const game = TetrisGame.fromConfig(config)
+  let count = args.pieces ? TetrisFigure.parseKinds(args.pieces.toUpperCase()).length : 1
+  if (args.count !== undefined) {
+    count = Number(args.count)
+  }
+
+  return {game, config, count}
+}
+
+/**
+ * @param {Object} action
+ * @returns {String}
+ */
+function formatAction (action) {
+  return action.kick ? `${action.type}(kick ${action.kick})` : action.type
+}
+
+/**
+ * @param {Array.<String>} argv
+ */
+function main (argv) {
+  const args = parseArgs(argv)
+  if (args.help) {
+    process.stdout.write(USAGE)
+    return
+  }
+
+  const {game, config, count} = createGame(args)
+  const {seed} = game.options.random
+  const replay = TetrisReplay.fromGame(game, Object.assign({}, config, {seed}))
+  console.log(`seed: ${seed}`)
+  console.log(game.world.toString())
+
+  while (game.pieces < count) {
+    const prevWorld = game.world.clone()
+    const turn = game.step()
+    replay.record(game, turn)
+    if (!turn) {
+      break
+    }
+
+    const {figure, plan, lines} = turn
+    prevWorld.locate(plan.placement)
+    console.log('')
+    console.log(`#${game.pieces} ${figure.kind}: ${plan.actions.map(formatAction).join(', ')}`)
+    console.log(`nodes: ${plan.nodeCount}, path: ${plan.actions.length} actions, planning time: ${plan.planningTime.toFixed(3)}ms, lines: ${lines}`)
+    console.log(prevWorld.toString())
+  }
+
+  console.log('')
+  console.log(`score: ${game.score}, lines: ${game.lines}, level: ${game.level}, pieces: ${game.pieces}` +
+    (game.isOver ? ', game over' : ''))
+
+  if (args.replay) {
+    fs.writeFileSync(args.replay, JSON.stringify(replay))
+  }
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2))
+  } catch (err) {
+    console.error(err.message)
+    console.error(USAGE)
+    process.exitCode = 1
+  }
+} else {
+  // Other tools share the parsing (see benchmark.js)
+  module.exports = {parseArgs}
+}
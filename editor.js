@@ -0,0 +1,172 @@
+/*
+  Dependencies
+
+    Tetris:
+      + TetrisWorld
+      + TetrisFigure
+      + TetrisProblemSolver
+      + TetrisFumen
+
+    + TetrisRenderer
+ */
+
+/**
+ * Edits a world and the current figure, then the agent plans that figure in that world.
+ * Like TetrisHumanPlay it knows nothing about the page: it gets cells which someone
+ * has pressed (see TetrisRenderer.getPoint) and a callback renders frames
+ */
+class TetrisBoardEditor {
+  /**
+   * @param {TetrisWorld} world A world to start from, it does not change
+   * @param {Function} render Gets a frame (see TetrisRenderer)
+   * @param {Object} [options]
+   * @param {String} [options.kind] A kind of the current figure
+   * @param {Object} [options.solverOptions] See TetrisProblemSolver.solve
+   */
+  constructor (world, render, {kind = TetrisFigure.KIND.T, solverOptions = {}} = {}) {
+    this.world = world.clone()
+    this.render = render
+    this.solverOptions = solverOptions
+    this.tool = this.constructor.TOOL.WALL
+    this.kind = kind
+    this.figure = this.world.spawn(kind)
+    this.thing = null // what a drag paints, null when nothing is pressed
+    this.plan = null
+  }
+  /**
+   * @param {String} tool One of TetrisBoardEditor.TOOL
+   */
+  setTool (tool) {
+    this.tool = tool
+  }
+  /**
+   * Puts a figure of another kind at the spawn position
+   * @param {String} kind
+   */
+  setKind (kind) {
+    this.kind = kind
+    this.figure = this.world.spawn(kind)
+    this.plan = null
+    this.draw()
+  }
+  /**
+   * Rotates the current figure clockwise
+   */
+  rotate () {
+    this.figure.rotate(270)
+    this.plan = null
+    this.draw()
+  }
+  /**
+   * Starts a click or a drag
+   * @param {Array.<Number>} point A cell (x, y)
+   */
+  press ([x, y]) {
+    const {TOOL} = this.constructor
+    const {THING} = this.world.constructor
+    if (this.tool === TOOL.PIECE) {
+      // The center of the figure goes to the cell
+      this.figure.translate([x, y])
+      this.plan = null
+      this.draw()
+      return
+    }
+    // A drag paints the same thing as the first cell has got
+    this.thing = this.world.get(x, y) === THING.EMPTY_SPACE ? THING.WALL : THING.EMPTY_SPACE
+    this.drag([x, y])
+  }
+  /**
+   * @param {Array.<Number>} point A cell (x, y) under the pointer
+   */
+  drag ([x, y]) {
+    if (this.thing === null || this.world.get(x, y) === this.thing) {
+      return
+    }
+    this.world.set(x, y, this.thing)
+    this.plan = null
+    this.draw()
+  }
+  release () {
+    this.thing = null
+  }
+  /**
+   * Removes every wall
+   */
+  clear () {
+    const {THING} = this.world.constructor
+    const {width, height} = this.world
+    this.world = new TetrisWorld(Array.from({length: height}, _ => new Array(width).fill(THING.EMPTY_SPACE)))
+    this.plan = null
+    this.draw()
+  }
+  /**
+   * Plans the current figure as the agent would do it
+   * @returns {TetrisPlan}
+   */
+  solve () {
+    this.plan = TetrisProblemSolver.solve(this.world, this.figure, this.solverOptions)
+    this.draw()
+    return this.plan
+  }
+  /**
+   * Replaces the world, the figure goes back to the spawn position
+   * @param {String} text A world as text (see TetrisWorld.fromString) or a fumen string
+   */
+  import (text) {
+    this.world = TetrisFumen.isFumen(text)
+      ? TetrisFumen.decode(text, this.world.height)
+      : TetrisWorld.fromString(text)
+    this.setKind(this.kind)
+  }
+  /**
+   * @param {String} format One of TetrisBoardEditor.FORMAT
+   * @returns {String}
+   */
+  export (format) {
+    const {FORMAT} = this.constructor
+    switch (format) {
+      case FORMAT.TEXT:
+        return this.world.toString()
+      case FORMAT.FUMEN:
+        return TetrisFumen.encode(this.world)
+      default:
+        throw new Error('Unknown format')
+    }
+  }
+  draw () {
+    const {OVERLAY} = TetrisRenderer
+    const {figure, plan} = this
+    const overlays = []
+    let comment = `The ${this.kind} figure. Toggle walls or move the figure, then press "Solve".`
+    if (plan && plan.placement) {
+      for (const state of plan.states.slice(0, -1)) {
+        overlays.push({figure: state, type: OVERLAY.PATH})
+      }
+      overlays.push({figure: plan.placement, type: OVERLAY.PLACEMENT})
+      comment = `nodes: ${plan.nodeCount}, actions: ${plan.actions.map(action => action.type).join(', ')}`
+    } else if (plan) {
+      comment = 'The agent cannot place the figure.'
+    }
+    this.render({
+      world: this.world,
+      figure,
+      overlays,
+      comment
+    })
+  }
+}
+
+TetrisBoardEditor.TOOL = {
+  'WALL': 'wall', // toggles walls
+  'PIECE': 'piece' // moves the current figure
+}
+
+TetrisBoardEditor.FORMAT = {
+  'TEXT': 'text',
+  'FUMEN': 'fumen'
+}
+
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {TetrisBoardEditor}
+}
@@ -0,0 +1,340 @@
+/*
+  Dependencies
+
+    Tetris:
+      + TetrisWorld
+      + TetrisPlan
+      + TetrisProblemSolver
+      + RotationSystem
+      + TetrisEvaluator
+      + TetrisGame
+ */
+
+/**
+ * The environment of a learning agent in the manner of Gym: reset starts an episode (a game),
+ * step applies an action and returns {observation, reward, done, info}.
+ * An action is either a raw input (a key of a player) or a placement of the current figure
+ * (see TetrisEnvironment.ACTION_SPACE), legalActions lists the ones which make sense now.
+ * The search agent plays in the same environment (see getAgentActions), so both may be compared
+ */
+class TetrisEnvironment {
+  /**
+   * @param {Object} [config] A config of games (see TetrisGame.fromConfig)
+   * @param {String} [config.actionSpace] One of TetrisEnvironment.ACTION_SPACE (placements by default)
+   * @param {Object.<String, Number>} [config.rewards] Weights of changes per step by names (see TetrisEnvironment.REWARD),
+   * e.g. {lines: 1, gameOver: -10, holes: -0.5}
+   * @param {Number} [config.maxPieces] An episode stops after that count of figures (it is not over, info.isTruncated is true)
+   * @param {Number} [config.maxInputs] A figure drops by itself after that count of raw inputs
+   */
+  constructor (config = {}) {
+    const {ACTION_SPACE, REWARD, DEFAULT_REWARDS, MAX_INPUTS} = this.constructor
+    const {
+      actionSpace = ACTION_SPACE.PLACEMENTS,
+      rewards = {},
+      maxPieces = Infinity,
+      maxInputs = MAX_INPUTS
+    } = config
+    if (!Object.values(ACTION_SPACE).includes(actionSpace)) {
+      throw new Error('Unknown action space')
+    }
+    const names = Object.values(REWARD)
+    for (const name of Object.keys(rewards)) {
+      if (!names.includes(name)) {
+        throw new Error(`Unknown reward "${name}"`)
+      }
+    }
+    this.config = config
+    this.actionSpace = actionSpace
+    this.rewards = Object.assign({}, DEFAULT_REWARDS, rewards)
+    this.maxPieces = maxPieces
+    this.maxInputs = maxInputs
+    this.evaluator = new TetrisEvaluator() // features of worlds for rewards
+    this.game = null
+    this.inputs = 0 // raw inputs of the current figure
+    this.placements = null // legal placements of the current figure (a cache)
+  }
+  /**
+   * Starts a new episode
+   * @param {Number} [seed] The seed of the config by default
+   * @returns {Object} An observation (see getObservation)
+   */
+  reset (seed) {
+    const config = seed === undefined ? this.config : Object.assign({}, this.config, {seed})
+    this.game = TetrisGame.fromConfig(config)
+    this.game.spawn()
+    this.inputs = 0
+    this.placements = null
+    return this.getObservation()
+  }
+  /**
+   * @param {String|Object|Number} action A raw input (one of TetrisPlan.ACTION), a placement {hold, orientation, x, y}
+   * or an index of legalActions
+   * @returns {{observation: Object, reward: Number, done: Boolean, info: Object}}
+   */
+  step (action) {
+    const {ACTION_SPACE} = this.constructor
+    const {game} = this
+    if (!game) {
+      throw new Error('The episode has not started')
+    }
+    if (this.isDone()) {
+      throw new Error('The episode is over')
+    }
+    if (typeof action === 'number') {
+      action = this.legalActions()[action]
+      if (action === undefined) {
+        throw new Error('Unknown action')
+      }
+    }
+
+    const before = this.getStats()
+    const isLegal = this.actionSpace === ACTION_SPACE.INPUTS ? this.input(action) : this.place(action)
+    this.placements = null
+    // A locked figure gives its turn to the next one
+    if (!game.figure && !game.isOver) {
+      this.inputs = 0
+      game.spawn()
+    }
+    const after = this.getStats()
+
+    let reward = 0
+    for (const name of Object.keys(this.rewards)) {
+      reward += this.rewards[name] * (after[name] - before[name])
+    }
+    return {
+      observation: this.getObservation(),
+      reward,
+      done: this.isDone(),
+      info: {
+        isLegal,
+        lines: after.lines - before.lines,
+        score: game.score,
+        pieces: game.pieces,
+        isTruncated: !game.isOver && this.isDone()
+      }
+    }
+  }
+  /**
+   * Applies a raw input. A figure which cannot move down locks there
+   * @param {String} type One of TetrisPlan.ACTION
+   * @returns {Boolean} False when the figure cannot do that (nothing happens then)
+   */
+  input (type) {
+    const {ACTION} = TetrisPlan
+    const {game} = this
+    if (!Object.values(ACTION).includes(type)) {
+      throw new Error('Unknown action')
+    }
+    if (type === ACTION.HOLD) {
+      this.inputs = 0
+      return game.act(type)
+    }
+    if (type === ACTION.DOWN && !game.getNextState(type)) {
+      game.lock(game.figure)
+      return true
+    }
+    const isLegal = game.act(type)
+    if (game.figure && ++this.inputs >= this.maxInputs) {
+      game.act(ACTION.HARD_DROP)
+    }
+    return isLegal
+  }
+  /**
+   * Puts the current figure (or the one from the hold slot) to a placement
+   * @param {{hold: Boolean, orientation: Number, x: Number, y: Number}} action
+   * @returns {Boolean}
+   */
+  place (action) {
+    const {game} = this
+    const key = this.constructor.getKey(action)
+    const placement = this.getPlacements().find(placement => this.constructor.getKey(placement.action) === key)
+    if (!placement) {
+      throw new Error('Unknown placement')
+    }
+    if (placement.action.hold) {
+      game.holdFigure()
+    }
+    game.lock(placement.state)
+    return true
+  }
+  /**
+   * Actions which make sense now: raw inputs which the figure can do or every placement it can reach
+   * @returns {Array.<(String|Object)>}
+   */
+  legalActions () {
+    const {ACTION_SPACE} = this.constructor
+    const {ACTION} = TetrisPlan
+    const {game} = this
+    if (!game || this.isDone()) {
+      return []
+    }
+    if (this.actionSpace === ACTION_SPACE.PLACEMENTS) {
+      return this.getPlacements().map(placement => placement.action)
+    }
+    return Object.values(ACTION).filter(type => {
+      switch (type) {
+        case ACTION.HOLD:
+          return game.allowHold && game.canHold
+        case ACTION.DOWN:
+        case ACTION.HARD_DROP:
+          return true
+        default:
+          return game.getNextState(type) !== null
+      }
+    })
+  }
+  /**
+   * Every placement which the current figure can reach and the ones of the figure from the hold slot
+   * (or the next one when the slot is empty)
+   * @returns {Array.<{action: Object, state: TetrisFigure}>}
+   */
+  getPlacements () {
+    const {game} = this
+    if (this.placements) {
+      return this.placements
+    }
+    const variants = [{figure: game.figure, hold: false}]
+    if (game.allowHold && game.canHold) {
+      game.fillQueue()
+      const kind = game.hold !== null ? game.hold : game.queue[0]
+      if (kind !== undefined) {
+        variants.push({figure: game.world.spawn(kind), hold: true})
+      }
+    }
+
+    const {
+      rotationSystem = RotationSystem.factory(RotationSystem.TYPE.NONE),
+      softDrop = true,
+      hardDrop = true,
+      allowTucks = true
+    } = game.options
+    this.placements = []
+    for (const {figure, hold} of variants) {
+      if (!game.mayLocate(figure)) {
+        continue
+      }
+      const reachable = TetrisProblemSolver.findReachablePlacements(game.world, figure, {rotationSystem, softDrop, hardDrop, allowTucks})
+      for (const {state} of reachable.placements) {
+        const [[x, y]] = state.getBounds()
+        this.placements.push({action: {hold, orientation: state.orientation, x, y}, state})
+      }
+    }
+    return this.placements
+  }
+  /**
+   * What the search agent does with the current figure in the same action space
+   * @param {Object} [options] Options of the solver for this turn only
+   * @returns {Array.<(String|Object)>} Raw inputs up to the lock or a single placement, none when it has no plan
+   */
+  getAgentActions (options = {}) {
+    const {ACTION_SPACE} = this.constructor
+    const {ACTION} = TetrisPlan
+    const {game} = this
+    if (!game || this.isDone()) {
+      return []
+    }
+    const plan = TetrisProblemSolver.solve(game.world, game.figure, game.getSolverOptions(options))
+    if (!plan.placement) {
+      return []
+    }
+    if (this.actionSpace === ACTION_SPACE.INPUTS) {
+      return plan.actions.map(action => action.type)
+    }
+    // The legal placements keep one of the orientations with the same cells
+    const hold = plan.actions.length > 0 && plan.actions[0].type === ACTION.HOLD
+    const cells = this.constructor.getCellsKey(plan.placement)
+    const placement = this.getPlacements().find(placement => {
+      return placement.action.hold === hold && this.constructor.getCellsKey(placement.state) === cells
+    })
+    return placement ? [placement.action] : []
+  }
+  /**
+   * @returns {Boolean}
+   */
+  isDone () {
+    return this.game.isOver || this.game.pieces >= this.maxPieces
+  }
+  /**
+   * @returns {{board: Array.<Array.<Number>>, figure: (Object|null), previews: Array.<String>, hold: (String|null), canHold: Boolean}}
+   * The board has 1 for filled cells and 0 for empty ones, the figure is not there
+   */
+  getObservation () {
+    const {THING} = TetrisWorld
+    const {world, figure, hold} = this.game
+    return {
+      board: world.toArray().map(row => row.map(v => v === THING.EMPTY_SPACE ? 0 : 1)),
+      figure: figure && {kind: figure.kind, cells: figure.toArray(), orientation: figure.orientation},
+      previews: this.game.previews,
+      hold,
+      canHold: this.game.allowHold && this.game.canHold
+    }
+  }
+  /**
+   * Totals of the game and features of the world, rewards are weighted changes of them
+   * @returns {Object.<String, Number>} Values by TetrisEnvironment.REWARD
+   */
+  getStats () {
+    const {REWARD} = this.constructor
+    const {FEATURE} = TetrisEvaluator
+    const {evaluator} = this
+    const {world: {walls: rows, width}, lines, score, pieces, isOver} = this.game
+    const heights = evaluator.getColumnHeights(rows, width)
+    return {
+      [REWARD.LINES]: lines,
+      [REWARD.SCORE]: score,
+      [REWARD.PIECES]: pieces,
+      [REWARD.GAME_OVER]: Number(isOver),
+      [FEATURE.AGGREGATE_HEIGHT]: heights.reduce((sum, h) => sum + h, 0),
+      [FEATURE.HOLES]: evaluator.countHoles(rows, width),
+      [FEATURE.BUMPINESS]: heights.reduce((sum, h, x) => x > 0 ? sum + Math.abs(h - heights[x - 1]) : sum, 0),
+      [FEATURE.ROW_TRANSITIONS]: evaluator.countRowTransitions(rows, width),
+      [FEATURE.COLUMN_TRANSITIONS]: evaluator.countColumnTransitions(rows, width),
+      [FEATURE.WELLS]: evaluator.sumWells(rows, width)
+    }
+  }
+  /**
+   * @param {{hold: Boolean, orientation: Number, x: Number, y: Number}} action
+   * @returns {String}
+   */
+  static getKey ({hold, orientation, x, y}) {
+    return `${Boolean(hold)}:${orientation}:${x}:${y}`
+  }
+  /**
+   * @param {TetrisFigure} figure
+   * @returns {String}
+   */
+  static getCellsKey (figure) {
+    return figure.toArray().map(String).sort().join(' ')
+  }
+}
+
+TetrisEnvironment.ACTION_SPACE = {
+  'INPUTS': 'inputs', // one of TetrisPlan.ACTION per step
+  'PLACEMENTS': 'placements' // a figure goes to {hold, orientation, x, y} at once (the top left corner of its cells)
+}
+
+TetrisEnvironment.REWARD = {
+  'LINES': 'lines',
+  'SCORE': 'score',
+  'PIECES': 'pieces',
+  'GAME_OVER': 'gameOver',
+  // features of the world (see TetrisEvaluator.FEATURE)
+  'AGGREGATE_HEIGHT': TetrisEvaluator.FEATURE.AGGREGATE_HEIGHT,
+  'HOLES': TetrisEvaluator.FEATURE.HOLES,
+  'BUMPINESS': TetrisEvaluator.FEATURE.BUMPINESS,
+  'ROW_TRANSITIONS': TetrisEvaluator.FEATURE.ROW_TRANSITIONS,
+  'COLUMN_TRANSITIONS': TetrisEvaluator.FEATURE.COLUMN_TRANSITIONS,
+  'WELLS': TetrisEvaluator.FEATURE.WELLS
+}
+
+TetrisEnvironment.DEFAULT_REWARDS = {
+  [TetrisEnvironment.REWARD.LINES]: 1
+}
+
+// Raw inputs of a figure before it drops by itself (a learning agent may press left forever)
+TetrisEnvironment.MAX_INPUTS = 100
+
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {TetrisEnvironment}
+}
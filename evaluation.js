@@ -0,0 +1,217 @@
+/*
+  Dependencies
+
+    Tetris:
+      + TetrisWorld
+      + TetrisFigure
+ */
+
+/**
+ * Estimates the world which is left after a figure has been placed.
+ * Every feature of that world has a weight, an estimation is a weighted sum of features.
+ * A maximal estimation is the best one
+ * @see https://imake.ninja/el-tetris-an-improvement-on-pierre-dellacheries-algorithm/
+ * @see https://codemyroad.wordpress.com/2013/04/14/tetris-ai-the-near-perfect-player/
+ */
+class TetrisEvaluator {
+  /**
+   * @param {Object.<String, Number>} [weights] Weights by features (see TetrisEvaluator.FEATURE)
+   */
+  constructor (weights = {}) {
+    const {FEATURE, DEFAULT_WEIGHTS} = this.constructor
+    const features = Object.values(FEATURE)
+    for (const name of Object.keys(weights)) {
+      if (!features.includes(name)) {
+        throw new Error(`Unknown feature "${name}"`)
+      }
+    }
+    this.weights = Object.assign({}, DEFAULT_WEIGHTS, weights)
+  }
+  /**
+   * @param {String|Object} json A config like {"weights": {"holes": -7.9}}
+   * @returns {TetrisEvaluator}
+   */
+  static fromJSON (json) {
+    const config = typeof json === 'string' ? JSON.parse(json) : json
+    return new this(config.weights)
+  }
+  /**
+   * @returns {Object}
+   */
+  toJSON () {
+    return {weights: Object.assign({}, this.weights)}
+  }
+  /**
+   * @param {TetrisWorld} world A world without a figure
+   * @param {TetrisFigure} figure A placed figure
+   * @returns {Number}
+   */
+  evaluate (world, figure) {
+    const features = this.getFeatures(world, figure)
+    let estimation = 0
+    for (const name of Object.keys(features)) {
+      estimation += this.weights[name] * features[name]
+    }
+    return estimation
+  }
+  /**
+   * @param {TetrisWorld} world A world without a figure
+   * @param {TetrisFigure} figure A placed figure
+   * @returns {Object.<String, Number>} Values by features
+   */
+  getFeatures (world, figure) {
+    const {FEATURE} = this.constructor
+    const {world: rest, lines} = world.place(figure, false)
+    const {walls: rows, width} = rest
+    const heights = this.getColumnHeights(rows, width)
+
+    return {
+      [FEATURE.AGGREGATE_HEIGHT]: heights.reduce((sum, h) => sum + h, 0),
+      [FEATURE.HOLES]: this.countHoles(rows, width),
+      [FEATURE.BUMPINESS]: heights.reduce((sum, h, x) => x > 0 ? sum + Math.abs(h - heights[x - 1]) : sum, 0),
+      [FEATURE.COMPLETED_LINES]: lines,
+      [FEATURE.ROW_TRANSITIONS]: this.countRowTransitions(rows, width),
+      [FEATURE.COLUMN_TRANSITIONS]: this.countColumnTransitions(rows, width),
+      [FEATURE.WELLS]: this.sumWells(rows, width),
+      [FEATURE.LANDING_HEIGHT]: this.getLandingHeight(world, figure)
+    }
+  }
+  /**
+   * @param {Array.<Number>|Uint32Array} rows Filled cells of a world as bitmasks (see TetrisWorld)
+   * @param {Number} width
+   * @returns {Array.<Number>}
+   */
+  getColumnHeights (rows, width) {
+    const height = rows.length
+    return Array.from({length: width}, (_, x) => {
+      const y = rows.findIndex(row => row & (1 << x))
+      return y === -1 ? 0 : height - y
+    })
+  }
+  /**
+   * Counts empty cells which have a filled cell above
+   * @param {Array.<Number>|Uint32Array} rows
+   * @param {Number} width
+   * @returns {Number}
+   */
+  countHoles (rows, width) {
+    const full = (1 << width) - 1
+    let count = 0
+    let covered = 0
+    for (const row of rows) {
+      count += this.constructor.countBits(covered & ~row & full)
+      covered |= row
+    }
+    return count
+  }
+  /**
+   * Counts changes between filled and empty neighbour cells in every row.
+   * The sides of a world count as filled cells
+   * @param {Array.<Number>|Uint32Array} rows
+   * @param {Number} width
+   * @returns {Number}
+   */
+  countRowTransitions (rows, width) {
+    // The bit 0 is the left side, the bit width + 1 is the right one
+    const sides = 1 | (1 << (width + 1))
+    const pairs = (1 << (width + 1)) - 1
+    let count = 0
+    for (const row of rows) {
+      const cells = (row << 1) | sides
+      count += this.constructor.countBits((cells ^ (cells >> 1)) & pairs)
+    }
+    return count
+  }
+  /**
+   * Counts changes between filled and empty neighbour cells in every column.
+   * The floor counts as filled cells
+   * @param {Array.<Number>|Uint32Array} rows
+   * @param {Number} width
+   * @returns {Number}
+   */
+  countColumnTransitions (rows, width) {
+    const full = (1 << width) - 1
+    let count = 0
+    let prev = 0
+    for (const row of rows) {
+      count += this.constructor.countBits(row ^ prev)
+      prev = row
+    }
+    return count + this.constructor.countBits(~prev & full)
+  }
+  /**
+   * Sums depths of wells (empty cells between filled ones or the sides).
+   * Every cell of a well adds its depth, so a well of depth 3 gives 1 + 2 + 3
+   * @param {Array.<Number>|Uint32Array} rows
+   * @param {Number} width
+   * @returns {Number}
+   */
+  sumWells (rows, width) {
+    const full = (1 << width) - 1
+    const depths = new Array(width).fill(0)
+    let sum = 0
+    for (const row of rows) {
+      // Empty cells with filled neighbours (or sides) on the left and on the right
+      const wells = ~row & ((row << 1) | 1) & ((row >> 1) | (1 << (width - 1))) & full
+      for (let x = 0; x < width; x++) {
+        if (wells & (1 << x)) {
+          depths[x]++
+          sum += depths[x]
+        } else {
+          depths[x] = 0
+        }
+      }
+    }
+    return sum
+  }
+  /**
+   * Height where a figure has been placed (from the floor to the middle of a figure)
+   * @param {TetrisWorld} world
+   * @param {TetrisFigure} figure
+   * @returns {Number}
+   */
+  getLandingHeight (world, figure) {
+    const [[, yMin], [, yMax]] = figure.getBounds()
+    return world.height - (yMin + yMax) / 2
+  }
+  /**
+   * @see https://en.wikipedia.org/wiki/Hamming_weight
+   * @param {Number} mask
+   * @returns {Number} Count of set bits
+   */
+  static countBits (mask) {
+    let count = 0
+    for (let v = mask >>> 0; v !== 0; v &= v - 1) {
+      count++
+    }
+    return count
+  }
+}
+
+TetrisEvaluator.FEATURE = {
+  'AGGREGATE_HEIGHT': 'aggregateHeight',
+  'HOLES': 'holes',
+  'BUMPINESS': 'bumpiness',
+  'COMPLETED_LINES': 'completedLines',
+  'ROW_TRANSITIONS': 'rowTransitions',
+  'COLUMN_TRANSITIONS': 'columnTransitions',
+  'WELLS': 'wells',
+  'LANDING_HEIGHT': 'landingHeight'
+}
+
+// The weights of El-Tetris (an improvement on Pierre Dellacherie's algorithm)
+TetrisEvaluator.DEFAULT_WEIGHTS = {
+  'aggregateHeight': 0,
+  'holes': -7.899265427351652,
+  'bumpiness': 0,
+  'completedLines': 3.4181268101392694,
+  'rowTransitions': -3.2178882868487753,
+  'columnTransitions': -9.348695305445199,
+  'wells': -3.3855972247263626,
+  'landingHeight': -4.500158825082766
+}
+
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {TetrisEvaluator}
+}
@@ -0,0 +1,171 @@
+/*
+  Dependencies
+
+    Tetris:
+      + TetrisWorld
+      + TetrisFigure
+ */
+
+/**
+ * Reads and writes boards as fumen strings (v115), the format of the fumen editor
+ * which people use to share positions, e.g. "v115@vhAAgH" is an empty board.
+ * Only the field of the first page matters here, pieces, comments and other pages are skipped.
+ * Locked cells keep their kinds, walls without a kind are grey
+ * @see https://github.com/knewjade/tetris-fumen
+ */
+class TetrisFumen {
+  /**
+   * @param {String} text
+   * @returns {Boolean}
+   */
+  static isFumen (text) {
+    return this.PREFIX.test(text.trim())
+  }
+  /**
+   * @param {TetrisWorld} world A world 10 cells wide and at most 23 cells high
+   * @returns {String}
+   */
+  static encode (world) {
+    const {WIDTH, HEIGHT, BLOCKS, CELL, EMPTY_ACTION} = this
+    const {THING} = world.constructor
+    if (world.width !== WIDTH || world.height > HEIGHT - 1) {
+      throw new Error(`A fumen has a board ${WIDTH} cells wide and at most ${HEIGHT - 1} cells high`)
+    }
+
+    // The world stands on the floor of the field, the last row of the field is the garbage row
+    const cells = new Array(BLOCKS).fill(CELL.EMPTY)
+    const top = HEIGHT - 1 - world.height
+    world.toArray().forEach((row, y) => row.forEach((v, x) => {
+      if (v !== THING.EMPTY_SPACE) {
+        cells[(top + y) * WIDTH + x] = CELL[world.getKind(x, y)] || CELL.GREY
+      }
+    }))
+
+    // Runs of the same difference with the previous page (an empty field for the first page)
+    let data = ''
+    let start = 0
+    for (let i = 1; i <= BLOCKS; i++) {
+      if (i === BLOCKS || cells[i] !== cells[start]) {
+        data += this.encodeNumber((cells[start] + 8) * BLOCKS + (i - start - 1), 2)
+        start = i
+      }
+    }
+    if (cells.every(v => v === CELL.EMPTY)) {
+      // A field without changes is followed by a count of the next pages with the same field
+      data += this.encodeNumber(0, 1)
+    }
+    data += EMPTY_ACTION
+
+    // The fumen editor breaks long strings with "?" every 47 chars
+    const parts = []
+    for (let i = 0; i < data.length; i += 47) {
+      parts.push(data.slice(i, i + 47))
+    }
+    return `v115@${parts.join('?')}`
+  }
+  /**
+   * @param {String} text
+   * @param {Number} [height] A height of the world
+   * @returns {TetrisWorld}
+   */
+  static decode (text, height = 20) {
+    const {WIDTH, HEIGHT, BLOCKS, CELL} = this
+    const {THING} = TetrisWorld
+    if (!this.isFumen(text)) {
+      throw new Error('Only fumen strings of the version 115 are supported')
+    }
+    if (height > HEIGHT - 1) {
+      throw new Error(`A fumen has a board at most ${HEIGHT - 1} cells high`)
+    }
+    const data = text.trim().replace(this.PREFIX, '').replace(/\?/g, '')
+
+    const cells = []
+    let offset = 0
+    while (cells.length < BLOCKS) {
+      if (offset + 2 > data.length) {
+        throw new Error('A fumen string is too short')
+      }
+      const value = this.decodeNumber(data.slice(offset, offset + 2))
+      offset += 2
+      const cell = Math.floor(value / BLOCKS) - 8
+      const count = value % BLOCKS + 1
+      if (cell < CELL.EMPTY || cell > CELL.GREY || cells.length + count > BLOCKS) {
+        throw new Error('A fumen string has a wrong field')
+      }
+      for (let i = 0; i < count; i++) {
+        cells.push(cell)
+      }
+    }
+
+    const kinds = Object.keys(CELL).reduce((kinds, kind) => Object.assign(kinds, {[CELL[kind]]: kind}), {})
+    const top = HEIGHT - 1 - height
+    if (cells.slice(0, top * WIDTH).some(v => v !== CELL.EMPTY)) {
+      throw new Error(`A board of a fumen is higher than ${height} cells`)
+    }
+    const rows = Array.from({length: height}, (_, y) => cells.slice((top + y) * WIDTH, (top + y + 1) * WIDTH))
+    const m = rows.map(row => row.map(v => v === CELL.EMPTY ? THING.EMPTY_SPACE : THING.WALL))
+    const figureKinds = Object.values(TetrisFigure.KIND)
+    const worldKinds = rows.map(row => row.map(v => figureKinds.includes(kinds[v]) ? kinds[v] : null))
+    return new TetrisWorld(m, worldKinds)
+  }
+  /**
+   * @param {Number} value
+   * @param {Number} length Count of chars
+   * @returns {String} The lowest digits go first
+   */
+  static encodeNumber (value, length) {
+    const {CHARS} = this
+    let text = ''
+    for (let i = 0; i < length; i++) {
+      text += CHARS[value % 64]
+      value = Math.floor(value / 64)
+    }
+    return text
+  }
+  /**
+   * @param {String} text
+   * @returns {Number}
+   */
+  static decodeNumber (text) {
+    const {CHARS} = this
+    return Array.from(text).reduceRight((value, char) => {
+      const digit = CHARS.indexOf(char)
+      if (digit === -1) {
+        throw new Error(`Unknown char "${char}" of a fumen string`)
+      }
+      return value * 64 + digit
+    }, 0)
+  }
+}
+
+TetrisFumen.PREFIX = /^[vmd]115@/
+
+TetrisFumen.CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+// A field of the fumen editor: 23 rows above the floor and a garbage row
+TetrisFumen.WIDTH = 10
+
+TetrisFumen.HEIGHT = 24
+
+TetrisFumen.BLOCKS = TetrisFumen.WIDTH * TetrisFumen.HEIGHT
+
+// Values of cells by kinds
+TetrisFumen.CELL = {
+  'EMPTY': 0,
+  [TetrisFigure.KIND.I]: 1,
+  [TetrisFigure.KIND.L]: 2,
+  [TetrisFigure.KIND.O]: 3,
+  [TetrisFigure.KIND.Z]: 4,
+  [TetrisFigure.KIND.T]: 5,
+  [TetrisFigure.KIND.J]: 6,
+  [TetrisFigure.KIND.S]: 7,
+  'GREY': 8
+}
+
+// A page without a piece, it is locked and has no comment
+TetrisFumen.EMPTY_ACTION = 'AgH'
+
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {TetrisFumen}
+}
@@ -0,0 +1,335 @@
+/*
+  Dependencies
+
+    Tetris:
+      + TetrisWorld
+      + TetrisFigure
+      + TetrisPlan
+      + TetrisProblemSolver
+      + RotationSystem
+      + TetrisEvaluator
+      + TetrisFumen
+
+    randomizers:
+      + Randomizer
+      + SequenceRandomizer
+
+    utils:
+      + Random
+ */
+
+/**
+ * A game session: the agent places figures one after another until
+ * a new figure cannot be placed in the world
+ */
+class TetrisGame {
+  /**
+   * @param {TetrisWorld} world
+   * @param {Object} [options] Options of the solver (see TetrisProblemSolver.solve)
+   * @param {Number} [options.previewSize] Count of the next figures which the agent sees
+   * @param {Boolean} [options.allowHold] The hold slot is available
+   * @param {Random} [options.random] A seeded generator makes the same sequence of figures every time
+   * @param {Randomizer} [options.randomizer] The uniform one (with options.random) by default
+   */
+  constructor (world, options = {}) {
+    this.world = world
+    this.options = options
+    this.previewSize = options.previewSize || 0
+    this.allowHold = Boolean(options.allowHold)
+    this.randomizer = options.randomizer || Randomizer.factory(Randomizer.TYPE.UNIFORM, options.random)
+    this.sequence = [] // every kind which the randomizer has dealt (see TetrisReplay)
+    this.queue = [] // kinds of the next figures
+    this.hold = null // a kind of a figure in the hold slot
+    this.canHold = true // the hold slot works once per turn
+    this.figure = null // an active figure
+    this.score = 0
+    this.lines = 0
+    this.pieces = 0
+    this.isOver = false
+  }
+  /**
+   * @returns {Number}
+   */
+  get level () {
+    return Math.floor(this.lines / this.constructor.LINES_PER_LEVEL) + 1
+  }
+  /**
+   * Checks if a figure can be located in the world
+   * @param {TetrisFigure} figure
+   * @returns {Boolean}
+   */
+  mayLocate (figure) {
+    return this.world.mayLocate(figure)
+  }
+  /**
+   * @returns {String|null} A null when there are no more figures
+   */
+  getNextKind () {
+    const kind = this.randomizer.next()
+    if (kind !== null) {
+      this.sequence.push(kind)
+    }
+    return kind
+  }
+  /**
+   * Kinds of the next figures (the preview queue)
+   * @returns {Array.<String>}
+   */
+  get previews () {
+    this.fillQueue()
+    return this.queue.slice(0, this.previewSize)
+  }
+  /**
+   * Keeps enough kinds in the queue for the next figure and the previews
+   */
+  fillQueue () {
+    while (this.queue.length < this.previewSize + 1) {
+      const kind = this.getNextKind()
+      if (kind === null) {
+        break
+      }
+      this.queue.push(kind)
+    }
+  }
+  /**
+   * Creates a new figure at the top of the world (horizontally centered)
+   * @param {String} [kind] The next kind from the queue by default
+   * @returns {TetrisFigure|null} A null when the game is over (or figures are over)
+   */
+  spawn (kind) {
+    if (kind === undefined) {
+      this.fillQueue()
+      kind = this.queue.shift()
+    }
+    const figure = kind !== undefined ? this.world.spawn(kind) : null
+
+    if (!figure || !this.mayLocate(figure)) {
+      this.isOver = true
+      return null
+    }
+
+    this.figure = figure
+    return figure
+  }
+  /**
+   * Puts the active figure into the hold slot and spawns a figure from there
+   * (or the next one when the slot is empty). It works once per turn
+   * @returns {TetrisFigure|null} A new active figure or null when the hold is not allowed or the game is over
+   */
+  holdFigure () {
+    if (!this.allowHold || !this.canHold || !this.figure) {
+      return null
+    }
+    const {kind} = this.figure
+    const figure = this.spawn(this.hold !== null ? this.hold : undefined)
+    // The game is over then, the hold slot stays as it was
+    if (!figure) {
+      return null
+    }
+    this.hold = kind
+    this.canHold = false
+    return figure
+  }
+  /**
+   * A state of the active figure after a movement or a rotation with the same checks the agent uses
+   * @param {String} type One of TetrisPlan.ACTION but the hard drop and the hold
+   * @returns {TetrisFigure|null} A null when the figure cannot do that
+   */
+  getNextState (type) {
+    const {ACTION} = TetrisPlan
+    const {rotationSystem = RotationSystem.factory(RotationSystem.TYPE.NONE)} = this.options
+    const {figure} = this
+    if (!figure) {
+      return null
+    }
+
+    let next
+    switch (type) {
+      case ACTION.LEFT:
+        next = figure.clone().move([-1, 0])
+        break
+      case ACTION.RIGHT:
+        next = figure.clone().move([1, 0])
+        break
+      case ACTION.DOWN:
+        next = figure.clone().move([0, 1])
+        break
+      case ACTION.ROTATE_CCW:
+        next = rotationSystem.rotate(this.world, figure, 90)
+        break
+      case ACTION.ROTATE_CW:
+        next = rotationSystem.rotate(this.world, figure, 270)
+        break
+      default:
+        throw new Error('Unknown action')
+    }
+
+    return next && this.mayLocate(next) ? next : null
+  }
+  /**
+   * Applies an action of a player to the active figure (see getNextState).
+   * A hard drop also locks the figure, then the next turn starts with spawn
+   * @param {String} type One of TetrisPlan.ACTION
+   * @returns {Boolean} False when the figure cannot do that
+   */
+  act (type) {
+    const {ACTION} = TetrisPlan
+    const {figure} = this
+    if (!figure) {
+      return false
+    }
+
+    switch (type) {
+      case ACTION.HARD_DROP: {
+        const fallingStates = TetrisProblemSolver.fall(this.world, figure)
+        this.lock(fallingStates.length > 0 ? fallingStates[fallingStates.length - 1] : figure)
+        return true
+      }
+      case ACTION.HOLD:
+        return this.holdFigure() !== null
+      default: {
+        const next = this.getNextState(type)
+        if (!next) {
+          return false
+        }
+        this.figure = next
+        return true
+      }
+    }
+  }
+  /**
+   * Locks a figure into the world, clears full rows and updates the score
+   * @param {TetrisFigure} figure
+   * @returns {Number} Count of cleared rows
+   */
+  lock (figure) {
+    const {POINTS} = this.constructor
+    const level = this.level
+    this.world.lock(figure)
+    const count = this.world.clearFullRows()
+    this.score += POINTS[Math.min(count, POINTS.length - 1)] * level
+    this.lines += count
+    this.pieces++
+    this.figure = null
+    this.canHold = true
+    return count
+  }
+  /**
+   * Options of the solver for the active figure: what the agent knows about the next figures and the hold slot
+   * @param {Object} [options] Options of the solver for this turn only
+   * @returns {Object}
+   */
+  getSolverOptions (options = {}) {
+    return Object.assign({}, this.options, options, {
+      previews: this.previews,
+      hold: this.hold,
+      canHold: this.allowHold && this.canHold
+    })
+  }
+  /**
+   * Plays a single figure: spawns it, plans its path and locks it.
+   * The agent may use the hold slot, then the plan starts with the hold action
+   * @param {Object} [options] Options of the solver for this turn only (e.g. a trace)
+   * @returns {{figure: TetrisFigure, plan: TetrisPlan, lines: Number}|null} A null when the game is over
+   */
+  step (options = {}) {
+    if (this.isOver) {
+      return null
+    }
+
+    const figure = this.spawn()
+    if (!figure) {
+      return null
+    }
+
+    return this.play(TetrisProblemSolver.solve(this.world, figure, this.getSolverOptions(options)))
+  }
+  /**
+   * Finishes a turn with a plan of the active figure which has been made elsewhere (see TetrisPlanner)
+   * @param {TetrisPlan} plan
+   * @returns {{figure: TetrisFigure, plan: TetrisPlan, lines: Number}|null} A null when the game is over
+   */
+  play (plan) {
+    let {figure} = this
+    if (!plan.placement) {
+      this.isOver = true
+      return null
+    }
+
+    const [firstAction] = plan.actions
+    if (firstAction && firstAction.type === TetrisPlan.ACTION.HOLD) {
+      figure = this.holdFigure()
+    }
+
+    const lines = this.lock(plan.placement)
+    return {figure, plan, lines}
+  }
+  /**
+   * Creates a game from a plain config (e.g. JSON or options of the command line).
+   * Other keys of a config go to the solver as they are (see TetrisProblemSolver.solve)
+   * @param {Object} [config]
+   * @param {Number} [config.seed] Makes the walls and figures reproducible
+   * @param {String} [config.board] A world as text (see TetrisWorld.fromString) or a fumen string,
+   * random walls by default
+   * @param {String|Array.<String>} [config.pieces] A sequence of figures instead of a randomizer (see TetrisFigure.parseKinds)
+   * @param {String} [config.pieceSet] One of TetrisFigure.SET which the randomizer deals (the tetrominoes by default)
+   * @param {String} [config.randomizer] One of Randomizer.TYPE (the 7-bag by default)
+   * @param {String} [config.rotation] One of RotationSystem.TYPE (SRS by default)
+   * @param {Number} [config.preview] Count of the next figures which the agent sees
+   * @param {Boolean} [config.hold] The agent may use the hold slot
+   * @param {Object} [config.evaluator] A config of TetrisEvaluator (see TetrisEvaluator.fromJSON)
+   * @returns {TetrisGame}
+   */
+  static fromConfig (config = {}) {
+    const {
+      seed,
+      board,
+      pieces,
+      pieceSet = TetrisFigure.SET.STANDARD,
+      randomizer = Randomizer.TYPE.BAG,
+      rotation = RotationSystem.TYPE.SRS,
+      preview = 0,
+      hold = false,
+      evaluator = {}
+    } = config
+    const random = new Random(seed)
+
+    let world
+    if (board) {
+      world = TetrisFumen.isFumen(board) ? TetrisFumen.decode(board) : TetrisWorld.fromString(board)
+    } else {
+      world = new TetrisWorld(Array.from({length: 20}, _ => new Array(10).fill(TetrisWorld.THING.EMPTY_SPACE)))
+      // Sampling of walls (the same way the page does)
+      world.sample(-1, 11, random)
+    }
+
+    let kinds = null
+    if (pieces) {
+      kinds = typeof pieces === 'string' ? TetrisFigure.parseKinds(pieces) : pieces
+      const unknown = kinds.find(kind => !TetrisFigure.PIECES[kind])
+      if (unknown) {
+        throw new Error(`Unknown figure "${unknown}"`)
+      }
+    }
+
+    const options = Object.assign({}, config, {
+      random,
+      randomizer: kinds ? new SequenceRandomizer(kinds) : Randomizer.factory(randomizer, random, TetrisFigure.getKinds(pieceSet)),
+      rotationSystem: RotationSystem.factory(rotation),
+      evaluator: TetrisEvaluator.fromJSON(evaluator),
+      previewSize: Number(preview),
+      allowHold: Boolean(hold)
+    })
+    return new this(world, options)
+  }
+}
+
+TetrisGame.LINES_PER_LEVEL = 10
+
+// Points for 0, 1, 2, 3 and 4 cleared rows (multiplied by a level), a pentomino may clear 5 rows for the same 800
+TetrisGame.POINTS = [0, 100, 300, 500, 800]
+
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {TetrisGame}
+}
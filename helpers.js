@@ -3,11 +3,68 @@
  * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Math/random
  * @param {Number} min
  * @param {Number} max
+ * @param {Function} [random] Returns a float in [0, 1)
  * @return {Number}
  */
-function getRandomIntInclusive (min, max) {
+function getRandomIntInclusive (min, max, random = Math.random) {
   min = Math.ceil(min)
   max = Math.floor(max)
   // The maximum is inclusive and the minimum is inclusive
-  return Math.floor(Math.random() * (max - min + 1)) + min
+  return Math.floor(random() * (max - min + 1)) + min
+}
+
+/**
+ * A seedable pseudorandom number generator (Mulberry32).
+ * The same seed gives the same sequence of numbers
+ * @see https://gist.github.com/tommyettinger/46a874533244883189143505d203312c
+ */
+class Random {
+  /**
+   * @param {Number} [seed] An unsigned 32-bit integer
+   */
+  constructor (seed = Random.createSeed()) {
+    this.seed = seed >>> 0
+    this.state = this.seed
+  }
+  /**
+   * @return {Number} A float in [0, 1)
+   */
+  next () {
+    this.state = (this.state + 0x6D2B79F5) >>> 0
+    let t = this.state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+  /**
+   * @param {Number} min
+   * @param {Number} max
+   * @return {Number}
+   */
+  nextInt (min, max) {
+    return getRandomIntInclusive(min, max, () => this.next())
+  }
+  /**
+   * A normally distributed number (the Box-Muller transform)
+   * @see https://en.wikipedia.org/wiki/Box%E2%80%93Muller_transform
+   * @param {Number} [mean]
+   * @param {Number} [sd] Standard deviation
+   * @return {Number}
+   */
+  nextGaussian (mean = 0, sd = 1) {
+    const u = 1 - this.next() // (0, 1], so the logarithm is finite
+    const v = this.next()
+    return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+  }
+  /**
+   * @return {Number}
+   */
+  static createSeed () {
+    return getRandomIntInclusive(0, 4294967295)
+  }
+}
+
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {getRandomIntInclusive, Random}
 }
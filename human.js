@@ -0,0 +1,235 @@
+/*
+  Dependencies
+
+    Tetris:
+      + TetrisPlan
+      + TetrisProblemSolver
+      + TetrisGame
+
+    + TetrisRenderer
+    + TetrisPlanner
+ */
+
+/**
+ * A person plays a game with the keyboard. The figure moves through TetrisGame.act,
+ * so it passes the same checks as the agent does. A hint shows where the agent would put it.
+ * It knows nothing about the page, a callback renders the world
+ */
+class TetrisHumanPlay {
+  /**
+   * @param {TetrisGame} game
+   * @param {Function} render Gets a frame (see TetrisRenderer)
+   * @param {Object} [options]
+   * @param {Boolean} [options.showHint] Shows a ghost of the placement (and the path) which the agent recommends
+   * @param {TetrisPlanner} [options.planner] Plans hints while the game goes on, they are planned at once without it
+   */
+  constructor (game, render, {showHint = false, planner = null} = {}) {
+    this.game = game
+    this.render = render
+    this.showHint = showHint
+    this.planner = planner
+    this.hint = null // a plan of the agent for the active figure
+    this.hints = 0 // count of locked figures which had a hint
+    this.matches = 0 // count of locked figures which went where the hint said
+    this.timer = null
+  }
+  /**
+   * Milliseconds between steps of gravity, it gets faster on every level
+   * @returns {Number}
+   */
+  get delay () {
+    const {GRAVITY_DELAY, MIN_GRAVITY_DELAY} = this.constructor
+    return Math.max(MIN_GRAVITY_DELAY, GRAVITY_DELAY - (this.game.level - 1) * 100)
+  }
+  start () {
+    this.spawn()
+  }
+  stop () {
+    clearTimeout(this.timer)
+    this.timer = null
+    if (this.planner) {
+      this.planner.cancel() // it stops the worker too
+    }
+  }
+  /**
+   * @param {String} key A value of KeyboardEvent.key
+   * @returns {Boolean} True when the key has been handled
+   */
+  handleKey (key) {
+    const {KEYS, HINT_KEY} = this.constructor
+    if (key.toLowerCase() === HINT_KEY) {
+      this.toggleHint(!this.showHint)
+      return true
+    }
+    const type = KEYS[key.length === 1 ? key.toLowerCase() : key]
+    if (!type) {
+      return false
+    }
+    this.apply(type)
+    return true
+  }
+  /**
+   * @param {String} type One of TetrisPlan.ACTION
+   */
+  apply (type) {
+    const {ACTION} = TetrisPlan
+    const {game} = this
+    if (!game.figure) {
+      return
+    }
+    if (type === ACTION.HARD_DROP) {
+      while (game.act(ACTION.DOWN)) {
+        // it falls to the bottom
+      }
+      this.lock()
+      return
+    }
+    if (type === ACTION.HOLD) {
+      if (game.act(ACTION.HOLD)) {
+        this.onSpawn()
+      } else if (game.isOver) {
+        this.draw()
+      }
+      return
+    }
+    if (game.act(type)) {
+      this.draw()
+    }
+  }
+  /**
+   * @param {Boolean} showHint
+   */
+  toggleHint (showHint) {
+    this.showHint = showHint
+    if (showHint && !this.hint) {
+      this.updateHint()
+    }
+    this.draw()
+  }
+  /**
+   * One step of gravity: the figure moves down or locks when it cannot
+   */
+  tick () {
+    const {ACTION} = TetrisPlan
+    if (this.game.act(ACTION.DOWN)) {
+      this.draw()
+      this.schedule()
+    } else {
+      this.lock()
+    }
+  }
+  schedule () {
+    clearTimeout(this.timer)
+    this.timer = setTimeout(_ => this.tick(), this.delay)
+  }
+  lock () {
+    const {game, hint} = this
+    if (hint && hint.placement) {
+      this.hints++
+      this.matches += hint.placement.id === game.figure.id
+    }
+    game.lock(game.figure)
+    this.spawn()
+  }
+  spawn () {
+    this.game.spawn()
+    this.onSpawn()
+  }
+  onSpawn () {
+    this.hint = null
+    if (this.planner && this.planner.isBusy) {
+      this.planner.cancel() // a hint of the previous figure
+    }
+    if (this.game.isOver) {
+      this.stop()
+      this.draw()
+      return
+    }
+    if (this.showHint) {
+      this.updateHint()
+    }
+    this.draw()
+    this.schedule()
+  }
+  /**
+   * Plans the active figure as the agent would do it (a plan may start with the hold action)
+   */
+  updateHint () {
+    const {game, planner} = this
+    if (!game.figure) {
+      return
+    }
+    if (!planner) {
+      const plan = TetrisProblemSolver.solve(game.world, game.figure, game.getSolverOptions())
+      this.hint = plan.placement ? plan : null
+      return
+    }
+    if (planner.isBusy) {
+      return // the hint of this figure is on the way
+    }
+    // The figure may move meanwhile, the hint starts where it is now
+    planner.plan(game.world, game.figure, game.getSolverOptions()).then(({plan}) => {
+      this.hint = plan.placement ? plan : null
+      this.draw()
+    }, _ => {
+      // a cancelled (or failed) hint is not shown
+    })
+  }
+  draw () {
+    const {OVERLAY} = TetrisRenderer
+    const {game, hint} = this
+    const {figure} = game
+    const overlays = []
+    if (this.showHint && hint) {
+      for (const state of hint.states.slice(0, -1)) {
+        overlays.push({figure: state, type: OVERLAY.PATH})
+      }
+      overlays.push({figure: hint.placement, type: OVERLAY.PLACEMENT})
+    }
+    let ghost = null
+    if (figure) {
+      const fallingStates = TetrisProblemSolver.fall(game.world, figure)
+      ghost = fallingStates.length > 0 ? fallingStates[fallingStates.length - 1] : figure
+    }
+
+    const stats = `score: ${game.score}, lines: ${game.lines}, level: ${game.level}, ` +
+      `hints followed: ${this.matches} of ${this.hints}`
+    const hintComment = this.showHint && hint && hint.actions.length > 0 && hint.actions[0].type === TetrisPlan.ACTION.HOLD
+      ? ' The agent would hold this figure.'
+      : ''
+    this.render({
+      world: game.world,
+      figure,
+      ghost,
+      overlays,
+      previews: game.previews,
+      hold: game.hold,
+      comment: game.isOver ? `Game over (${stats})` : `${stats}.${hintComment}`
+    })
+  }
+}
+
+// Milliseconds between steps of gravity on the first level
+TetrisHumanPlay.GRAVITY_DELAY = 1000
+
+TetrisHumanPlay.MIN_GRAVITY_DELAY = 100
+
+// Values of KeyboardEvent.key (letters in lower case)
+TetrisHumanPlay.KEYS = {
+  'ArrowLeft': TetrisPlan.ACTION.LEFT,
+  'ArrowRight': TetrisPlan.ACTION.RIGHT,
+  'ArrowDown': TetrisPlan.ACTION.DOWN,
+  'ArrowUp': TetrisPlan.ACTION.ROTATE_CW,
+  'x': TetrisPlan.ACTION.ROTATE_CW,
+  'z': TetrisPlan.ACTION.ROTATE_CCW,
+  ' ': TetrisPlan.ACTION.HARD_DROP,
+  'c': TetrisPlan.ACTION.HOLD,
+  'Shift': TetrisPlan.ACTION.HOLD
+}
+
+TetrisHumanPlay.HINT_KEY = 'h'
+
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {TetrisHumanPlay}
+}
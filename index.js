@@ -0,0 +1,65 @@
+/*
+  The entry point for Node.js
+
+  The browser loads every file with a <script> tag, so they share the global scope
+  and find each other there. Node.js gives them a shared scope of their own here:
+  the files run one after another within a single function, so they stay the same
+  in both places (and need no DOM) and the global object of a program stays as it is
+ */
+
+const fs = require('fs')
+const path = require('path')
+const vm = require('vm')
+
+const files = [
+  './helpers',
+  './algorithms',
+  './script',
+  './pieces',
+  './fumen',
+  './rotation',
+  './evaluation',
+  './randomizers',
+  './game',
+  './environment',
+  './replay',
+  './trace',
+  './planner',
+  './human',
+  './editor',
+  './renderer'
+]
+
+const exported = {}
+
+// Every file runs by a direct eval with its own name, so errors point at lines of the files themselves
+const sources = files.map(file => {
+  const filename = path.join(__dirname, `${file}.js`)
+  return fs.readFileSync(filename, 'utf8') + `\n//# sourceURL=${filename}`
+})
+
+// Every file sets module.exports once (see the end of every file). The exported names are variables
+// of the shared function, so a file finds the names of the files before and after it (when it runs them)
+const names = []
+for (const source of sources) {
+  const match = source.match(/module\.exports = \{([^}]*)\}/)
+  if (match) {
+    names.push(...match[1].split(',').map(name => name.trim()).filter(name => name.length > 0))
+  }
+}
+
+const shared = `(function (require, exported, sources) {
+  var ${names.join(', ')}
+  const module = {
+    set exports (value) {
+      Object.assign(exported, value)
+      ;({${names.map(name => `${name} = ${name}`).join(', ')}} = exported)
+    }
+  }
+  for (let i = 0; i < sources.length; i++) {
+    eval(sources[i])
+  }
+})`
+vm.runInThisContext(shared, {filename: __filename})(require, exported, sources)
+
+module.exports = exported
@@ -0,0 +1,345 @@
+/*
+  Dependencies
+
+    + TetrisGame
+    + TetrisReplay
+    + TetrisReplayPlayer
+    + TetrisSearchTrace
+    + TetrisPlanner
+    + TetrisHumanPlay
+    + TetrisBoardEditor
+    + TetrisFigure
+    + TetrisRenderer
+    + Randomizer
+ */
+
+const params = new URLSearchParams(window.location.search)
+
+// The same seed gives the same world and figures (e.g. ?seed=42)
+const seedParam = params.get('seed')
+
+const config = {
+  seed: seedParam === null ? undefined : Number(seedParam),
+  // e.g. ?randomizer=nes (see Randomizer.TYPE)
+  randomizer: params.get('randomizer') || Randomizer.TYPE.BAG,
+  // e.g. ?pieces=pentominoes (see TetrisFigure.SET)
+  pieceSet: params.get('pieces') || TetrisFigure.SET.STANDARD,
+  // A shared board as a fumen string or text (see TetrisFumen), random walls by default
+  board: params.get('board') || undefined,
+  preview: 1,
+  hold: true,
+  nodeBudget: 5000 // unlike a time budget, it keeps planning reproducible
+}
+
+const game = TetrisGame.fromConfig(config)
+console.log('seed', game.options.random.seed)
+
+// The live game is recorded, so it can be played back at any moment
+const replay = TetrisReplay.fromGame(game, Object.assign({}, config, {seed: game.options.random.seed}))
+
+// The agent plans in a Web Worker, so the page keeps responding while it thinks.
+// A page from a file cannot start workers, then it plans on the page (or ?planner=local)
+const plannerType = params.get('planner') ||
+  (window.location.protocol === 'file:' ? TetrisPlanner.TYPE.LOCAL : TetrisPlanner.TYPE.WORKER)
+const planner = TetrisPlanner.factory(plannerType)
+
+// What the search has done for every figure of the live game
+const traces = []
+
+const rootHtmlElement = document.getElementById('root')
+const searchHtmlElement = document.getElementById('search')
+
+// e.g. ?renderer=table (see TetrisRenderer.TYPE)
+const renderer = TetrisRenderer.factory(params.get('renderer') || TetrisRenderer.TYPE.CANVAS, rootHtmlElement)
+
+// The world which the player shows, the board editor starts from it
+let shownWorld = game.world
+
+/**
+ * @param {Object} frame See TetrisRenderer, it also has turnIdx and stateIdx
+ */
+function renderFrame (frame) {
+  shownWorld = frame.world
+  renderer.render(frame)
+  renderTrace(frame.turnIdx)
+}
+
+/**
+ * Shows the search of a figure, it is rendered once per figure
+ * @param {Number} turnIdx
+ */
+function renderTrace (turnIdx) {
+  if (searchHtmlElement.dataset.turn === String(turnIdx)) {
+    return
+  }
+  searchHtmlElement.dataset.turn = String(turnIdx)
+  const trace = player.replay === replay && !human ? traces[turnIdx] : undefined
+  const element = trace
+    ? trace.renderToHtmlElement(replay.getFigure(turnIdx, replay.turns[turnIdx].states.length - 1))
+    : document.createElement('div')
+  searchHtmlElement.replaceChild(element, searchHtmlElement.firstChild)
+}
+
+// A promise of the turn of the live game which the agent is planning
+let planning = null
+
+/**
+ * Plans the next figure of the live game when the player has shown every recorded one
+ * @param {TetrisReplayPlayer} player
+ * @returns {Boolean|Promise.<Boolean>} True (or a promise of true) when there is a new turn
+ */
+function playNextFigure (player) {
+  if (player.replay !== replay || replay.isOver) {
+    player.pause()
+    updatePlayButton()
+    return false
+  }
+  if (planning) {
+    return planning
+  }
+
+  // The figure stays active until its plan comes
+  const figure = game.figure || game.spawn()
+  if (!figure) {
+    replay.record(game, null)
+    return true
+  }
+  planning = planner.plan(game.world, figure, game.getSolverOptions({trace: true})).then(({plan, trace}) => {
+    planning = null
+    const turn = game.play(plan)
+    replay.record(game, turn)
+    if (turn) {
+      traces.push(trace)
+      console.log(`planning time: ${plan.planningTime.toFixed(3)}ms, nodes: ${plan.nodeCount}`)
+      console.log('actions', plan.actions.map(action => action.type).join(', '))
+    }
+    return true
+  }, err => {
+    planning = null
+    console.error(err)
+    player.pause()
+    updatePlayButton()
+    return false
+  })
+  return planning
+}
+
+const player = new TetrisReplayPlayer(replay, renderFrame, {onEnd: playNextFigure})
+
+// A person plays the same world and figures (the same seed) instead of watching the agent
+let human = null
+
+// Someone edits a board and the agent plans a figure there
+let editor = null
+
+/*
+  Controls of the player
+ */
+
+const playButton = document.getElementById('player-play')
+const speedInput = document.getElementById('player-speed')
+const pieceInput = document.getElementById('player-piece')
+
+function updatePlayButton () {
+  playButton.textContent = player.isPlaying ? 'Pause' : 'Play'
+}
+
+playButton.addEventListener('click', _ => {
+  if (player.isPlaying) {
+    player.pause()
+  } else {
+    player.play()
+  }
+  updatePlayButton()
+})
+
+document.getElementById('player-back').addEventListener('click', _ => {
+  player.step(-1)
+  updatePlayButton()
+})
+
+document.getElementById('player-forward').addEventListener('click', _ => {
+  player.step(1)
+  updatePlayButton()
+})
+
+// The slider gives frames per second
+speedInput.addEventListener('input', _ => {
+  player.delay = 1000 / Number(speedInput.value)
+})
+
+document.getElementById('player-jump').addEventListener('click', _ => {
+  player.jumpToPiece(Number(pieceInput.value))
+  updatePlayButton()
+})
+
+document.getElementById('replay-save').addEventListener('click', _ => {
+  const blob = new Blob([JSON.stringify(player.replay)], {type: 'application/json'})
+  const link = document.createElement('a')
+  link.href = URL.createObjectURL(blob)
+  link.download = `replay-${player.replay.seed}.json`
+  link.click()
+  URL.revokeObjectURL(link.href)
+})
+
+document.getElementById('replay-load').addEventListener('change', event => {
+  const [file] = event.target.files
+  if (!file) {
+    return
+  }
+  const reader = new FileReader()
+  reader.onload = _ => {
+    try {
+      // The live game stops, a loaded replay has no new turns
+      player.load(TetrisReplay.fromJSON(reader.result))
+      player.jumpToPiece(1)
+    } catch (err) {
+      window.alert(err.message)
+    }
+    updatePlayButton()
+  }
+  reader.readAsText(file)
+})
+
+/*
+  Controls of the board editor
+ */
+
+const editButton = document.getElementById('edit')
+const editorControls = document.getElementById('editor')
+const editorText = document.getElementById('editor-text')
+const toolInput = document.getElementById('editor-tool')
+const kindInput = document.getElementById('editor-kind')
+
+// Every piece of the registry may be put into an edited board
+for (const kind of Object.keys(TetrisFigure.PIECES)) {
+  const option = document.createElement('option')
+  option.textContent = kind
+  option.selected = kind === TetrisFigure.KIND.T
+  kindInput.appendChild(option)
+}
+
+editButton.addEventListener('click', _ => {
+  if (human) {
+    return
+  }
+  if (editor) {
+    editor = null
+    editButton.textContent = 'Edit the board'
+    editorControls.disabled = true
+    editorControls.style.display = 'none'
+    playerControls.disabled = false
+    player.seek(player.idx)
+    return
+  }
+  player.pause()
+  updatePlayButton()
+  renderTrace(null)
+  // The agent plans a single figure, it sees neither previews nor the hold slot
+  const {options} = TetrisGame.fromConfig(replay.config)
+  editor = new TetrisBoardEditor(shownWorld, frame => renderer.render(frame), {
+    kind: kindInput.value,
+    solverOptions: Object.assign({}, options, {previews: [], canHold: false})
+  })
+  editor.setTool(toolInput.value)
+  editor.draw()
+  editButton.textContent = 'Watch the agent'
+  editorControls.disabled = false
+  editorControls.style.display = ''
+  playerControls.disabled = true
+})
+
+toolInput.addEventListener('change', _ => editor && editor.setTool(toolInput.value))
+kindInput.addEventListener('change', _ => editor && editor.setKind(kindInput.value))
+document.getElementById('editor-rotate').addEventListener('click', _ => editor && editor.rotate())
+document.getElementById('editor-clear').addEventListener('click', _ => editor && editor.clear())
+document.getElementById('editor-solve').addEventListener('click', _ => editor && editor.solve())
+
+document.getElementById('editor-import').addEventListener('click', _ => {
+  try {
+    editor.import(editorText.value)
+  } catch (err) {
+    window.alert(err.message)
+  }
+})
+
+document.getElementById('editor-export-text').addEventListener('click', _ => {
+  editorText.value = editor.export(TetrisBoardEditor.FORMAT.TEXT)
+})
+
+document.getElementById('editor-export-fumen').addEventListener('click', _ => {
+  try {
+    editorText.value = editor.export(TetrisBoardEditor.FORMAT.FUMEN)
+  } catch (err) {
+    window.alert(err.message)
+  }
+})
+
+rootHtmlElement.addEventListener('mousedown', event => {
+  const point = editor && renderer.getPoint(event)
+  if (point) {
+    editor.press(point)
+    event.preventDefault() // otherwise a drag selects text
+  }
+})
+
+rootHtmlElement.addEventListener('mousemove', event => {
+  const point = editor && event.buttons === 1 && renderer.getPoint(event)
+  if (point) {
+    editor.drag(point)
+  }
+})
+
+document.addEventListener('mouseup', _ => editor && editor.release())
+
+/*
+  Controls of the human play
+ */
+
+const modeButton = document.getElementById('mode')
+const hintInput = document.getElementById('hint')
+const playerControls = document.getElementById('player')
+
+modeButton.addEventListener('click', _ => {
+  if (editor) {
+    return
+  }
+  if (human) {
+    human.stop()
+    human = null
+    modeButton.textContent = 'Play yourself'
+    playerControls.disabled = false
+    player.seek(player.idx)
+    return
+  }
+  player.pause()
+  updatePlayButton()
+  renderTrace(null)
+  human = new TetrisHumanPlay(TetrisGame.fromConfig(replay.config), frame => renderer.render(frame), {
+    showHint: hintInput.checked,
+    // Its own planner, a stale hint is cancelled without the plan of the live game
+    planner: TetrisPlanner.factory(plannerType)
+  })
+  human.start()
+  modeButton.textContent = 'Watch the agent'
+  playerControls.disabled = true // the player would draw over the game
+  modeButton.blur() // otherwise the space bar would press it again
+})
+
+hintInput.addEventListener('change', _ => {
+  if (human) {
+    human.toggleHint(hintInput.checked)
+  }
+  hintInput.blur()
+})
+
+document.addEventListener('keydown', event => {
+  if (human && human.handleKey(event.key)) {
+    hintInput.checked = human.showHint
+    event.preventDefault()
+  }
+})
+
+player.delay = 1000 / Number(speedInput.value)
+player.play()
+updatePlayButton()
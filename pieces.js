@@ -0,0 +1,218 @@
+/*
+  Dependencies
+
+    Tetris:
+      + TetrisFigure
+ */
+
+/*
+  Pieces which come with the project (see TetrisFigure.define).
+  Cells are given in the spawn state, x goes right and y goes down.
+  The tetrominoes spawn and rotate as in SRS: the I and O turn around a point between cells
+  @see https://tetris.wiki/Super_Rotation_System
+ */
+
+/*
+  Tetrominoes
+ */
+
+TetrisFigure.define(TetrisFigure.KIND.I, {
+  // ####
+  cells: [[0, 0], [1, 0], [2, 0], [3, 0]],
+  pivot: [1.5, 0.5],
+  color: '#31c7ef',
+  set: TetrisFigure.SET.STANDARD
+})
+
+TetrisFigure.define(TetrisFigure.KIND.O, {
+  // ##
+  // ##
+  cells: [[0, 0], [1, 0], [0, 1], [1, 1]],
+  pivot: [0.5, 0.5],
+  color: '#f7d308',
+  set: TetrisFigure.SET.STANDARD
+})
+
+TetrisFigure.define(TetrisFigure.KIND.L, {
+  // ..#
+  // ###
+  cells: [[2, 0], [0, 1], [1, 1], [2, 1]],
+  pivot: [1, 1],
+  color: '#ef7921',
+  set: TetrisFigure.SET.STANDARD
+})
+
+TetrisFigure.define(TetrisFigure.KIND.J, {
+  // #..
+  // ###
+  cells: [[0, 0], [0, 1], [1, 1], [2, 1]],
+  pivot: [1, 1],
+  color: '#5a65ad',
+  set: TetrisFigure.SET.STANDARD
+})
+
+TetrisFigure.define(TetrisFigure.KIND.S, {
+  // .##
+  // ##.
+  cells: [[1, 0], [2, 0], [0, 1], [1, 1]],
+  pivot: [1, 1],
+  color: '#42b642',
+  set: TetrisFigure.SET.STANDARD
+})
+
+TetrisFigure.define(TetrisFigure.KIND.Z, {
+  // ##.
+  // .##
+  cells: [[0, 0], [1, 0], [1, 1], [2, 1]],
+  pivot: [1, 1],
+  color: '#ef2029',
+  set: TetrisFigure.SET.STANDARD
+})
+
+TetrisFigure.define(TetrisFigure.KIND.T, {
+  // .#.
+  // ###
+  cells: [[1, 0], [0, 1], [1, 1], [2, 1]],
+  pivot: [1, 1],
+  color: '#ad4d9c',
+  set: TetrisFigure.SET.STANDARD
+})
+
+/*
+  Triominoes (the names of tetrominoes with the count of cells)
+ */
+
+TetrisFigure.define('I3', {
+  // ###
+  cells: [[0, 0], [1, 0], [2, 0]],
+  pivot: [1, 0],
+  color: '#5bc0de',
+  set: TetrisFigure.SET.TRIOMINOES
+})
+
+TetrisFigure.define('L3', {
+  // #.
+  // ##
+  cells: [[0, 0], [0, 1], [1, 1]],
+  pivot: [0.5, 0.5],
+  color: '#f0ad4e',
+  set: TetrisFigure.SET.TRIOMINOES
+})
+
+/*
+  Pentominoes
+  @see https://en.wikipedia.org/wiki/Pentomino
+ */
+
+TetrisFigure.define('F5', {
+  // .##
+  // ##.
+  // .#.
+  cells: [[1, 0], [2, 0], [0, 1], [1, 1], [1, 2]],
+  pivot: [1, 1],
+  color: '#8e44ad',
+  set: TetrisFigure.SET.PENTOMINOES
+})
+
+TetrisFigure.define('I5', {
+  // #####
+  cells: [[0, 0], [1, 0], [2, 0], [3, 0], [4, 0]],
+  pivot: [2, 0],
+  color: '#1abc9c',
+  set: TetrisFigure.SET.PENTOMINOES
+})
+
+TetrisFigure.define('L5', {
+  // ...#
+  // ####
+  cells: [[3, 0], [0, 1], [1, 1], [2, 1], [3, 1]],
+  pivot: [2, 1],
+  color: '#e67e22',
+  set: TetrisFigure.SET.PENTOMINOES
+})
+
+TetrisFigure.define('N5', {
+  // ##..
+  // .###
+  cells: [[0, 0], [1, 0], [1, 1], [2, 1], [3, 1]],
+  pivot: [2, 1],
+  color: '#16a085',
+  set: TetrisFigure.SET.PENTOMINOES
+})
+
+TetrisFigure.define('P5', {
+  // ##.
+  // ###
+  cells: [[0, 0], [1, 0], [0, 1], [1, 1], [2, 1]],
+  pivot: [1, 1],
+  color: '#d35400',
+  set: TetrisFigure.SET.PENTOMINOES
+})
+
+TetrisFigure.define('T5', {
+  // ###
+  // .#.
+  // .#.
+  cells: [[0, 0], [1, 0], [2, 0], [1, 1], [1, 2]],
+  pivot: [1, 1],
+  color: '#9b59b6',
+  set: TetrisFigure.SET.PENTOMINOES
+})
+
+TetrisFigure.define('U5', {
+  // #.#
+  // ###
+  cells: [[0, 0], [2, 0], [0, 1], [1, 1], [2, 1]],
+  pivot: [1, 1],
+  color: '#f1c40f',
+  set: TetrisFigure.SET.PENTOMINOES
+})
+
+TetrisFigure.define('V5', {
+  // #..
+  // #..
+  // ###
+  cells: [[0, 0], [0, 1], [0, 2], [1, 2], [2, 2]],
+  pivot: [1, 1],
+  color: '#2980b9',
+  set: TetrisFigure.SET.PENTOMINOES
+})
+
+TetrisFigure.define('W5', {
+  // #..
+  // ##.
+  // .##
+  cells: [[0, 0], [0, 1], [1, 1], [1, 2], [2, 2]],
+  pivot: [1, 1],
+  color: '#27ae60',
+  set: TetrisFigure.SET.PENTOMINOES
+})
+
+TetrisFigure.define('X5', {
+  // .#.
+  // ###
+  // .#.
+  cells: [[1, 0], [0, 1], [1, 1], [2, 1], [1, 2]],
+  pivot: [1, 1],
+  color: '#c0392b',
+  set: TetrisFigure.SET.PENTOMINOES
+})
+
+TetrisFigure.define('Y5', {
+  // .#..
+  // ####
+  cells: [[1, 0], [0, 1], [1, 1], [2, 1], [3, 1]],
+  pivot: [1, 1],
+  color: '#34495e',
+  set: TetrisFigure.SET.PENTOMINOES
+})
+
+TetrisFigure.define('Z5', {
+  // ##.
+  // .#.
+  // .##
+  cells: [[0, 0], [1, 0], [1, 1], [1, 2], [2, 2]],
+  pivot: [1, 1],
+  color: '#e74c3c',
+  set: TetrisFigure.SET.PENTOMINOES
+})
@@ -0,0 +1,363 @@
+/*
+  Dependencies
+
+    Tetris:
+      + TetrisWorld
+      + TetrisFigure
+      + TetrisPlan
+      + TetrisProblemSolver
+      + RotationSystem
+      + TetrisEvaluator
+      + TetrisSearchTrace
+ */
+
+/**
+ * Plans figures in a Web Worker, so a hard board does not freeze the page.
+ * The planner and the worker talk with plain messages (see TetrisPlanner.MESSAGE):
+ *
+ *   to the worker:   {type: 'plan', id, world, figure, options, pieces}
+ *   from the worker: {type: 'progress', id, nodeCount, planningTime}
+ *                    {type: 'result', id, plan, trace}
+ *                    {type: 'error', id, message}
+ *
+ * A worker plans one figure at a time and does not listen meanwhile,
+ * so the planner cancels plans by terminating the worker (a new one starts for the next plan).
+ * Node.js has no Web Workers, TetrisLocalWorker handles the same messages there
+ */
+class TetrisPlanner {
+  /**
+   * @param {Function} createWorker Returns a Worker or a TetrisLocalWorker
+   */
+  constructor (createWorker) {
+    this.createWorker = createWorker
+    this.worker = null
+    this.requests = new Map() // plans on the way by ids
+    this.lastId = 0
+  }
+  /**
+   * @returns {Boolean}
+   */
+  get isBusy () {
+    return this.requests.size > 0
+  }
+  /**
+   * @param {TetrisWorld} world
+   * @param {TetrisFigure} figure
+   * @param {Object} [options] Options of the solver (see TetrisProblemSolver.solve). A rotation system goes
+   * to the worker by its type and options.trace is true to get a trace of the search back
+   * @param {Function} [onProgress] Gets {nodeCount, planningTime} while the worker plans
+   * @returns {Promise.<{plan: TetrisPlan, trace: (TetrisSearchTrace|null)}>} It is rejected when the plan has been cancelled
+   */
+  plan (world, figure, options = {}, onProgress = null) {
+    const {MESSAGE} = this.constructor
+    if (!this.worker) {
+      this.worker = this.createWorker()
+      this.worker.onmessage = event => this.onMessage(event.data)
+      // The worker fails to load its scripts or throws outside of a plan, no answer comes then
+      this.worker.onerror = event => this.fail(new Error(`The worker has failed: ${event.message || 'an unknown error'}`))
+      this.worker.onmessageerror = _ => this.fail(new Error('The worker has sent a message which cannot be read'))
+    }
+    const id = ++this.lastId
+    // A worker has its own registry of pieces, so it gets the pieces which it may spawn
+    const kinds = [figure.kind].concat(options.previews || [], options.hold || [])
+    const pieces = {}
+    for (const kind of kinds) {
+      if (TetrisFigure.PIECES[kind]) {
+        pieces[kind] = TetrisFigure.PIECES[kind]
+      }
+    }
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, {world, resolve, reject, onProgress})
+      this.worker.postMessage({
+        type: MESSAGE.PLAN,
+        id,
+        world: this.constructor.encodeWorld(world),
+        figure: this.constructor.encodeFigure(figure),
+        options: this.constructor.encodeOptions(options),
+        pieces
+      })
+    })
+  }
+  /**
+   * Stops every plan on the way, their promises are rejected
+   */
+  cancel () {
+    this.fail(new Error('The plan has been cancelled'))
+  }
+  /**
+   * Stops the worker and rejects every plan on the way with an error (a new worker starts for the next plan)
+   * @param {Error} err
+   */
+  fail (err) {
+    if (this.worker) {
+      this.worker.terminate()
+      this.worker = null
+    }
+    for (const {reject} of this.requests.values()) {
+      reject(err)
+    }
+    this.requests.clear()
+  }
+  /**
+   * @param {Object} message A message of the worker
+   */
+  onMessage (message) {
+    const {MESSAGE} = this.constructor
+    const request = this.requests.get(message.id)
+    if (!request) {
+      return
+    }
+    switch (message.type) {
+      case MESSAGE.PROGRESS:
+        if (request.onProgress) {
+          request.onProgress({nodeCount: message.nodeCount, planningTime: message.planningTime})
+        }
+        break
+      case MESSAGE.RESULT:
+        this.requests.delete(message.id)
+        request.resolve({
+          plan: this.constructor.decodePlan(message.plan),
+          trace: message.trace ? TetrisSearchTrace.fromJSON(request.world, message.trace) : null
+        })
+        break
+      case MESSAGE.ERROR:
+        this.requests.delete(message.id)
+        request.reject(new Error(message.message))
+        break
+      default:
+        throw new Error('Unknown message')
+    }
+  }
+  /**
+   * Plans a figure in a worker
+   * @param {Object} message A message of the planner
+   * @param {Function} postMessage Sends a message back
+   */
+  static handleMessage (message, postMessage) {
+    const {MESSAGE} = this
+    const {id} = message
+    try {
+      if (message.type !== MESSAGE.PLAN) {
+        throw new Error('Unknown message')
+      }
+      for (const kind of Object.keys(message.pieces)) {
+        if (JSON.stringify(TetrisFigure.PIECES[kind]) !== JSON.stringify(message.pieces[kind])) {
+          TetrisFigure.define(kind, message.pieces[kind])
+        }
+      }
+      const world = this.decodeWorld(message.world)
+      const trace = message.options.trace ? new TetrisSearchTrace(world) : null
+      const options = Object.assign(this.decodeOptions(message.options), {
+        trace,
+        onProgress: ({nodeCount, planningTime}) => postMessage({type: MESSAGE.PROGRESS, id, nodeCount, planningTime})
+      })
+      const plan = TetrisProblemSolver.solve(world, this.decodeFigure(message.figure), options)
+      postMessage({
+        type: MESSAGE.RESULT,
+        id,
+        plan: this.encodePlan(plan),
+        trace: trace ? trace.toJSON() : null
+      })
+    } catch (err) {
+      postMessage({type: MESSAGE.ERROR, id, message: err.message})
+    }
+  }
+  /**
+   * @param {TetrisWorld} world
+   * @returns {Object}
+   */
+  static encodeWorld (world) {
+    return {rows: world.toArray(), kinds: world.kinds}
+  }
+  /**
+   * @param {Object} data
+   * @returns {TetrisWorld}
+   */
+  static decodeWorld ({rows, kinds}) {
+    return new TetrisWorld(rows, kinds)
+  }
+  /**
+   * @param {TetrisFigure} figure
+   * @returns {Object}
+   */
+  static encodeFigure (figure) {
+    const {kind, pivot, orientation, kick} = figure
+    return {kind, cells: figure.toArray(), pivot, orientation, kick}
+  }
+  /**
+   * @param {Object} data
+   * @returns {TetrisFigure}
+   */
+  static decodeFigure ({kind, cells, pivot, orientation, kick}) {
+    const figure = new TetrisFigure(cells, pivot, kind, orientation, kick)
+    if (TetrisFigure.PIECES[kind]) {
+      figure.masks = TetrisFigure.getMasks(kind)
+      figure.mask = figure.placeMask(figure.masks[orientation])
+    }
+    return figure
+  }
+  /**
+   * @param {TetrisPlan} plan
+   * @returns {Object}
+   */
+  static encodePlan ({states, actions, nodeCount, planningTime}) {
+    return {states: states.map(state => this.encodeFigure(state)), actions, nodeCount, planningTime}
+  }
+  /**
+   * @param {Object} data
+   * @returns {TetrisPlan}
+   */
+  static decodePlan ({states, actions, nodeCount, planningTime}) {
+    return new TetrisPlan(states.map(state => this.decodeFigure(state)), actions, nodeCount, planningTime)
+  }
+  /**
+   * Options of the solver without objects (a worker gets copies of plain values only)
+   * @param {Object} options
+   * @returns {Object}
+   */
+  static encodeOptions (options) {
+    const {OPTIONS} = this
+    const {rotationSystem, evaluator, trace} = options
+    const data = {}
+    for (const key of OPTIONS) {
+      if (options[key] !== undefined) {
+        data[key] = options[key]
+      }
+    }
+    return Object.assign(data, {
+      rotation: rotationSystem ? rotationSystem.type : null,
+      evaluator: evaluator ? evaluator.toJSON() : null,
+      trace: Boolean(trace)
+    })
+  }
+  /**
+   * @param {Object} data
+   * @returns {Object}
+   */
+  static decodeOptions (data) {
+    const {OPTIONS} = this
+    const options = {}
+    for (const key of OPTIONS) {
+      if (data[key] !== undefined) {
+        options[key] = data[key]
+      }
+    }
+    if (data.rotation) {
+      options.rotationSystem = RotationSystem.factory(data.rotation)
+    }
+    options.evaluator = data.evaluator ? TetrisEvaluator.fromJSON(data.evaluator) : null
+    return options
+  }
+  /**
+   * @param {String} type One of TetrisPlanner.TYPE
+   * @returns {TetrisPlanner}
+   */
+  static factory (type) {
+    switch (type) {
+      case this.TYPE.WORKER:
+        return new this(_ => new Worker(this.WORKER_URL))
+      case this.TYPE.LOCAL:
+        return new this(_ => new TetrisLocalWorker())
+      default:
+        throw new Error('Unknown planner')
+    }
+  }
+}
+
+TetrisPlanner.TYPE = {
+  'WORKER': 'worker', // a Web Worker of the page
+  'LOCAL': 'local' // the same process (e.g. Node.js)
+}
+
+TetrisPlanner.MESSAGE = {
+  'PLAN': 'plan',
+  'PROGRESS': 'progress',
+  'RESULT': 'result',
+  'ERROR': 'error'
+}
+
+// Plain options of the solver which go to a worker as they are
+TetrisPlanner.OPTIONS = [
+  'search',
+  'strategy',
+  'weight',
+  'softDrop',
+  'hardDrop',
+  'allowTucks',
+  'previews',
+  'depth',
+  'beamWidth',
+  'nodeBudget',
+  'timeBudget',
+  'hold',
+  'canHold'
+]
+
+// This file is the worker too, it loads the solver next to itself
+TetrisPlanner.WORKER_URL = './planner.js'
+
+TetrisPlanner.WORKER_SCRIPTS = [
+  'https://cdnjs.cloudflare.com/ajax/libs/vectorious/4.8.2/vectorious.min.js',
+  './algorithms.js',
+  './helpers.js',
+  './script.js',
+  './pieces.js',
+  './rotation.js',
+  './evaluation.js',
+  './trace.js'
+]
+
+/**
+ * Stands in for a Web Worker where there are none (e.g. Node.js): it handles the same messages
+ * in the same process, later than they have been sent. Messages are copied as JSON,
+ * so they stay as plain as a worker needs them. The search blocks the process here,
+ * so progress comes right away (while the solver works) and other messages come later
+ */
+class TetrisLocalWorker {
+  constructor () {
+    this.onmessage = null
+    this.onerror = null
+    this.onmessageerror = null
+    this.isTerminated = false
+  }
+  /**
+   * @param {Object} message
+   */
+  postMessage (message) {
+    const data = JSON.parse(JSON.stringify(message))
+    setTimeout(_ => {
+      if (!this.isTerminated) {
+        TetrisPlanner.handleMessage(data, reply => this.reply(reply))
+      }
+    }, 0)
+  }
+  /**
+   * @param {Object} message A message of the worker
+   */
+  reply (message) {
+    const data = JSON.parse(JSON.stringify(message))
+    const deliver = _ => {
+      if (!this.isTerminated && this.onmessage) {
+        this.onmessage({data})
+      }
+    }
+    if (data.type === TetrisPlanner.MESSAGE.PROGRESS) {
+      deliver()
+    } else {
+      setTimeout(deliver, 0)
+    }
+  }
+  terminate () {
+    this.isTerminated = true
+  }
+}
+
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {TetrisPlanner, TetrisLocalWorker}
+} else if (typeof importScripts === 'function') {
+  // A Web Worker: vectorious exports Matrix to window only
+  self.window = self
+  importScripts(...TetrisPlanner.WORKER_SCRIPTS)
+  self.onmessage = event => TetrisPlanner.handleMessage(event.data, message => self.postMessage(message))
+}
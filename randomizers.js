@@ -0,0 +1,207 @@
+/*
+  Dependencies
+
+    Tetris:
+      + TetrisFigure
+
+    utils:
+      + Random
+ */
+
+/**
+ * Decides which kind of a figure comes next
+ * @see https://tetris.wiki/Random_Generator
+ */
+class Randomizer {
+  /**
+   * @param {Random} [random]
+   * @param {Array.<String>} [kinds]
+   */
+  constructor (random = new Random(), kinds = Object.values(TetrisFigure.KIND)) {
+    this.random = random
+    this.kinds = kinds
+  }
+  /**
+   * @returns {String}
+   */
+  next () {
+    throw new Error('Not implemented')
+  }
+  /**
+   * @returns {String}
+   */
+  pick () {
+    return this.kinds[this.random.nextInt(0, this.kinds.length - 1)]
+  }
+  /**
+   * @param {String} type One of Randomizer.TYPE
+   * @param {Random} [random]
+   * @param {Array.<String>} [kinds] The tetrominoes by default (see TetrisFigure.getKinds)
+   * @returns {Randomizer}
+   */
+  static factory (type, random, kinds) {
+    switch (type) {
+      case this.TYPE.UNIFORM:
+        return new UniformRandomizer(random, kinds)
+      case this.TYPE.BAG:
+        return new BagRandomizer(random, kinds)
+      case this.TYPE.NES:
+        return new NesRandomizer(random, kinds)
+      case this.TYPE.TGM:
+        return new HistoryRandomizer(random, kinds)
+      default:
+        throw new Error('Unknown randomizer')
+    }
+  }
+}
+
+Randomizer.TYPE = {
+  'UNIFORM': 'uniform',
+  'BAG': 'bag',
+  'NES': 'nes',
+  'TGM': 'tgm' // the one of TGM1
+}
+
+/**
+ * Every kind has the same chance every time
+ */
+class UniformRandomizer extends Randomizer {
+  /**
+   * @returns {String}
+   */
+  next () {
+    return this.pick()
+  }
+}
+
+/**
+ * Deals all kinds in a random order, then shuffles them again (the 7-bag)
+ */
+class BagRandomizer extends Randomizer {
+  /**
+   * @param {Random} [random]
+   * @param {Array.<String>} [kinds]
+   */
+  constructor (random, kinds) {
+    super(random, kinds)
+    this.bag = []
+  }
+  /**
+   * @returns {String}
+   */
+  next () {
+    if (this.bag.length === 0) {
+      this.bag = this.shuffle(this.kinds)
+    }
+    return this.bag.pop()
+  }
+  /**
+   * @see https://en.wikipedia.org/wiki/Fisher%E2%80%93Yates_shuffle
+   * @param {Array.<String>} kinds
+   * @returns {Array.<String>}
+   */
+  shuffle (kinds) {
+    const arr = kinds.slice()
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = this.random.nextInt(0, i)
+      const tmp = arr[i]
+      arr[i] = arr[j]
+      arr[j] = tmp
+    }
+    return arr
+  }
+}
+
+/**
+ * Rolls an extra "reroll" side and rerolls once when it (or the previous kind) comes up
+ * @see https://meatfighter.com/nintendotetrisai/#Picking_Tetriminos
+ */
+class NesRandomizer extends Randomizer {
+  /**
+   * @param {Random} [random]
+   * @param {Array.<String>} [kinds]
+   */
+  constructor (random, kinds) {
+    super(random, kinds)
+    this.prev = null
+  }
+  /**
+   * @returns {String}
+   */
+  next () {
+    const idx = this.random.nextInt(0, this.kinds.length)
+    let kind = this.kinds[idx]
+    if (idx === this.kinds.length || kind === this.prev) {
+      kind = this.pick()
+    }
+    this.prev = kind
+    return kind
+  }
+}
+
+/**
+ * Remembers the last kinds and tries a few times to pick a kind which is not among them.
+ * It is the randomizer of TGM1: 4 rolls, the history starts as Z, Z, Z, Z and the first figure is I, J, L or T
+ * @see https://tetris.wiki/TGM_randomizer
+ */
+class HistoryRandomizer extends Randomizer {
+  /**
+   * @param {Random} [random]
+   * @param {Array.<String>} [kinds]
+   * @param {Number} [rolls]
+   */
+  constructor (random, kinds, rolls = 4) {
+    super(random, kinds)
+    const {KIND} = TetrisFigure
+    this.rolls = rolls
+    this.history = [KIND.Z, KIND.Z, KIND.Z, KIND.Z]
+    this.isFirst = true
+  }
+  /**
+   * @returns {String}
+   */
+  next () {
+    const {KIND} = TetrisFigure
+    let kind
+    if (this.isFirst) {
+      // The first figure is never S, Z or O as in TGM1 (other sets have no such figures)
+      const kinds = this.kinds.filter(k => k !== KIND.S && k !== KIND.Z && k !== KIND.O)
+      kind = kinds.length > 0 ? kinds[this.random.nextInt(0, kinds.length - 1)] : this.pick()
+      this.isFirst = false
+    } else {
+      for (let i = 0; i < this.rolls; i++) {
+        kind = this.pick()
+        if (!this.history.includes(kind)) {
+          break
+        }
+      }
+    }
+    this.history.shift()
+    this.history.push(kind)
+    return kind
+  }
+}
+
+/**
+ * Deals a given sequence of kinds (e.g. to replay a certain game), then nothing
+ */
+class SequenceRandomizer extends Randomizer {
+  /**
+   * @param {Array.<String>} sequence
+   */
+  constructor (sequence) {
+    super(undefined, [...new Set(sequence)])
+    this.sequence = sequence.slice()
+  }
+  /**
+   * @returns {String|null} A null when the sequence is over
+   */
+  next () {
+    return this.sequence.length > 0 ? this.sequence.shift() : null
+  }
+}
+
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {Randomizer, UniformRandomizer, BagRandomizer, NesRandomizer, HistoryRandomizer, SequenceRandomizer}
+}
@@ -0,0 +1,349 @@
+/*
+  Dependencies
+
+    Tetris:
+      + TetrisWorld
+      + TetrisFigure
+ */
+
+/**
+ * Draws frames of a game. A frame is a world without the active figure and what goes over it:
+ *
+ *   {world, figure, ghost, overlays, previews, hold, comment}
+ *
+ * where figure is the active figure, ghost is where it lands, overlays are figures
+ * like hints ({figure, type} with one of TetrisRenderer.OVERLAY), previews and hold are kinds
+ */
+class TetrisRenderer {
+  /**
+   * @param {HTMLElement} element A container
+   */
+  constructor (element) {
+    this.element = element
+  }
+  /**
+   * @param {Object} frame
+   */
+  render (frame) {
+    throw new Error('Not implemented')
+  }
+  /**
+   * Finds a cell of the world under the pointer (e.g. for the board editor)
+   * @param {MouseEvent} event
+   * @returns {Array.<Number>|null} A cell (x, y)
+   */
+  getPoint (event) {
+    throw new Error('Not implemented')
+  }
+  /**
+   * @param {String} type One of TetrisRenderer.TYPE
+   * @param {HTMLElement} element
+   * @returns {TetrisRenderer}
+   */
+  static factory (type, element) {
+    switch (type) {
+      case this.TYPE.CANVAS:
+        return new TetrisCanvasRenderer(element)
+      case this.TYPE.TABLE:
+        return new TetrisTableRenderer(element)
+      default:
+        throw new Error('Unknown renderer')
+    }
+  }
+}
+
+TetrisRenderer.TYPE = {
+  'CANVAS': 'canvas',
+  'TABLE': 'table'
+}
+
+TetrisRenderer.OVERLAY = {
+  'PATH': 'path', // states on the way to a placement
+  'PLACEMENT': 'placement'
+}
+
+/**
+ * Builds a new table for every frame (see TetrisWorld.renderToHtmlElement)
+ */
+class TetrisTableRenderer extends TetrisRenderer {
+  /**
+   * @param {HTMLElement} element
+   */
+  constructor (element) {
+    super(element)
+    this.world = null // the last rendered world
+  }
+  /**
+   * @param {Object} frame
+   */
+  render ({world, figure = null, ghost = null, overlays = [], previews = [], hold = null, comment = ''}) {
+    const {OVERLAY} = TetrisRenderer
+    this.world = world
+    const classNames = {
+      [OVERLAY.PATH]: 'bg-info',
+      [OVERLAY.PLACEMENT]: 'bg-success'
+    }
+    const next = world.clone()
+    if (figure) {
+      next.locate(figure)
+    }
+    const tableOverlays = overlays.map(({figure, type}) => ({figure, className: classNames[type]}))
+    if (ghost) {
+      tableOverlays.push({figure: ghost, className: 'active'})
+    }
+    const text = `${comment} (next: ${previews.join(' ') || '-'}, hold: ${hold || '-'})`
+    const element = next.renderToHtmlElement(text, tableOverlays)
+    if (this.element.firstChild) {
+      this.element.replaceChild(element, this.element.firstChild)
+    } else {
+      this.element.appendChild(element)
+    }
+  }
+  /**
+   * @param {MouseEvent} event
+   * @returns {Array.<Number>|null}
+   */
+  getPoint (event) {
+    const cell = event.target.closest && event.target.closest('td')
+    if (!cell || !this.world) {
+      return null
+    }
+    // The first cell of a row is its number
+    const point = [cell.cellIndex - 1, cell.parentNode.rowIndex]
+    return this.world.inRangePoint(point) ? point : null
+  }
+}
+
+/**
+ * Draws on a canvas once per animation frame and only the cells which have changed since the last frame
+ */
+class TetrisCanvasRenderer extends TetrisRenderer {
+  /**
+   * @param {HTMLElement} element
+   * @param {Object} [options]
+   * @param {Number} [options.cellSize] In pixels
+   */
+  constructor (element, {cellSize = 24} = {}) {
+    super(element)
+    this.cellSize = cellSize
+    this.comment = document.createElement('p')
+    this.canvas = document.createElement('canvas')
+    this.context = this.canvas.getContext('2d')
+    while (element.firstChild) {
+      element.removeChild(element.firstChild)
+    }
+    element.appendChild(this.comment)
+    element.appendChild(this.canvas)
+
+    this.frame = null // the latest frame, it waits for an animation frame
+    this.isScheduled = false
+    this.cells = [] // colours of the drawn cells
+    this.panels = null // kinds of the drawn panels
+  }
+  /**
+   * Draws the latest frame at the next animation frame, so frames which come faster are skipped
+   * @param {Object} frame
+   */
+  render (frame) {
+    this.frame = frame
+    if (!this.isScheduled) {
+      this.isScheduled = true
+      requestAnimationFrame(_ => {
+        this.isScheduled = false
+        this.draw(this.frame)
+      })
+    }
+  }
+  /**
+   * @param {MouseEvent} event
+   * @returns {Array.<Number>|null}
+   */
+  getPoint (event) {
+    if (event.target !== this.canvas || !this.frame) {
+      return null
+    }
+    const point = [Math.floor(event.offsetX / this.cellSize), Math.floor(event.offsetY / this.cellSize)]
+    return this.frame.world.inRangePoint(point) ? point : null
+  }
+  /**
+   * @param {Object} frame
+   */
+  draw ({world, figure = null, ghost = null, overlays = [], previews = [], hold = null, comment = ''}) {
+    const {PANEL_WIDTH} = this.constructor
+    const {cellSize} = this
+    const width = (world.width + PANEL_WIDTH) * cellSize
+    const height = Math.max(world.height, this.getPanelsHeight(previews.length)) * cellSize
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      // Resizing clears a canvas
+      this.canvas.width = width
+      this.canvas.height = height
+      this.cells = []
+      this.panels = null
+    }
+
+    if (this.comment.textContent !== comment) {
+      this.comment.textContent = comment
+    }
+
+    const colors = this.getColors(world, figure, ghost, overlays)
+    colors.forEach((row, y) => row.forEach((color, x) => {
+      const idx = y * world.width + x
+      if (this.cells[idx] !== color) {
+        this.cells[idx] = color
+        this.drawCell(x, y, color)
+      }
+    }))
+
+    const panels = JSON.stringify([previews, hold])
+    if (this.panels !== panels) {
+      this.panels = panels
+      this.drawPanels(world.width, previews, hold)
+    }
+  }
+  /**
+   * @param {TetrisWorld} world
+   * @param {TetrisFigure|null} figure
+   * @param {TetrisFigure|null} ghost
+   * @param {Array.<Object>} overlays
+   * @returns {Array.<Array.<String>>} A colour per cell ("ghost:" colours are drawn as outlines)
+   */
+  getColors (world, figure, ghost, overlays) {
+    const {COLORS} = this.constructor
+    const {THING} = world.constructor
+    const colors = world.toArray().map((row, y) => row.map((v, x) => {
+      if (v === THING.EMPTY_SPACE) {
+        return COLORS.EMPTY
+      }
+      return this.getColor(world.getKind(x, y), COLORS.WALL)
+    }))
+    const paint = (fig, color, onEmptyOnly = true) => {
+      fig.each((_, y, x) => {
+        if (world.inRangePoint([x, y]) && (!onEmptyOnly || colors[y][x] === COLORS.EMPTY)) {
+          colors[y][x] = color
+        }
+      })
+    }
+    for (const {figure: overlay, type} of overlays) {
+      paint(overlay, COLORS[type])
+    }
+    if (ghost && figure) {
+      paint(ghost, `ghost:${this.getColor(figure.kind)}`)
+    }
+    if (figure) {
+      paint(figure, this.getColor(figure.kind), false)
+    }
+    return colors
+  }
+  /**
+   * @param {String|null} kind
+   * @param {String} [fallback] A colour of an unknown kind
+   * @returns {String} A colour of a piece (see TetrisFigure.define)
+   */
+  getColor (kind, fallback = this.constructor.COLORS.FIGURE) {
+    const piece = TetrisFigure.PIECES[kind]
+    return piece && piece.color ? piece.color : fallback
+  }
+  /**
+   * @param {Number} x
+   * @param {Number} y
+   * @param {String} color
+   */
+  drawCell (x, y, color) {
+    const {COLORS} = this.constructor
+    const {context, cellSize} = this
+    const left = x * cellSize
+    const top = y * cellSize
+    context.fillStyle = COLORS.EMPTY
+    context.fillRect(left, top, cellSize, cellSize)
+    context.strokeStyle = COLORS.GRID
+    context.lineWidth = 1
+    context.strokeRect(left + 0.5, top + 0.5, cellSize - 1, cellSize - 1)
+
+    if (color.startsWith('ghost:')) {
+      context.strokeStyle = color.slice('ghost:'.length)
+      context.lineWidth = 2
+      context.strokeRect(left + 2, top + 2, cellSize - 4, cellSize - 4)
+    } else if (color !== COLORS.EMPTY) {
+      context.fillStyle = color
+      context.fillRect(left + 1, top + 1, cellSize - 2, cellSize - 2)
+    }
+  }
+  /**
+   * @param {Number} count Count of previews
+   * @returns {Number} In cells
+   */
+  getPanelsHeight (count) {
+    // A title and 3 rows per figure (a figure is drawn with cells of a half size)
+    return 1 + 3 * Math.max(count, 1) + 1 + 3
+  }
+  /**
+   * Draws the next figures and the hold slot to the right of the world
+   * @param {Number} xStart In cells
+   * @param {Array.<String>} previews
+   * @param {String|null} hold
+   */
+  drawPanels (xStart, previews, hold) {
+    const {COLORS, PANEL_WIDTH} = this.constructor
+    const {context, cellSize} = this
+    const left = xStart * cellSize
+    context.fillStyle = COLORS.EMPTY
+    context.fillRect(left, 0, PANEL_WIDTH * cellSize, this.canvas.height)
+
+    context.fillStyle = COLORS.TEXT
+    context.font = `${Math.round(cellSize * 0.6)}px sans-serif`
+    let row = 0
+    context.fillText('Next', left + cellSize / 2, (row + 0.75) * cellSize)
+    row++
+    for (const kind of previews) {
+      this.drawSmallFigure(kind, left + cellSize / 2, row * cellSize)
+      row += 3
+    }
+    if (previews.length === 0) {
+      row += 3
+    }
+    context.fillStyle = COLORS.TEXT
+    context.fillText('Hold', left + cellSize / 2, (row + 0.75) * cellSize)
+    row++
+    if (hold) {
+      this.drawSmallFigure(hold, left + cellSize / 2, row * cellSize)
+    }
+  }
+  /**
+   * @param {String} kind
+   * @param {Number} left In pixels
+   * @param {Number} top In pixels
+   */
+  drawSmallFigure (kind, left, top) {
+    const {context} = this
+    const size = this.cellSize / 2
+    const figure = TetrisFigure.factory(kind)
+    // A lying figure is easier to read and fits the panel
+    const [[x1, y1], [x2, y2]] = figure.getBounds()
+    if (y2 - y1 > x2 - x1) {
+      figure.rotate(90)
+    }
+    const [[xMin, yMin]] = figure.getBounds()
+    context.fillStyle = this.getColor(kind)
+    figure.each((_, y, x) => {
+      context.fillRect(left + (x - xMin) * size, top + (y - yMin) * size, size - 1, size - 1)
+    })
+  }
+}
+
+// Cells to the right of the world for the next figures and the hold slot
+TetrisCanvasRenderer.PANEL_WIDTH = 5
+
+TetrisCanvasRenderer.COLORS = {
+  'EMPTY': '#ffffff',
+  'GRID': '#eeeeee',
+  'TEXT': '#333333',
+  'WALL': '#6c757d',
+  'FIGURE': '#337ab7', // a figure of an unknown kind
+  [TetrisRenderer.OVERLAY.PATH]: '#d9edf7',
+  [TetrisRenderer.OVERLAY.PLACEMENT]: '#dff0d8'
+}
+
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {TetrisRenderer, TetrisTableRenderer, TetrisCanvasRenderer}
+}
@@ -0,0 +1,289 @@
+/*
+  Dependencies
+
+    Tetris:
+      + TetrisWorld
+      + TetrisFigure
+ */
+
+/**
+ * A record of a game: the seed, the initial world, the sequence of figures
+ * and every action and state which the agent has chosen.
+ * It is plain JSON, so it can be saved and played again (see TetrisReplayPlayer)
+ */
+class TetrisReplay {
+  /**
+   * @param {Array.<Array>.<Number>} world The initial world as a matrix
+   * @param {Object} [options]
+   * @param {Number|null} [options.seed]
+   * @param {Object} [options.config] A config of the game (see TetrisGame.fromConfig)
+   */
+  constructor (world, {seed = null, config = {}} = {}) {
+    this.version = this.constructor.VERSION
+    this.seed = seed
+    this.config = config
+    this.world = world
+    this.pieces = [] // kinds in the order the randomizer has dealt them
+    this.turns = []
+    this.isOver = false
+    this.worlds = [] // worlds before every turn (a cache, it is not saved)
+  }
+  /**
+   * Starts a record of a game which has not played yet
+   * @param {TetrisGame} game
+   * @param {Object} [config] A config of the game (see TetrisGame.fromConfig)
+   * @returns {TetrisReplay}
+   */
+  static fromGame (game, config = {}) {
+    const {random} = game.options
+    return new this(game.world.toArray(), {
+      seed: random ? random.seed : null,
+      config
+    })
+  }
+  /**
+   * Records a turn right after TetrisGame.step
+   * @param {TetrisGame} game
+   * @param {{figure: TetrisFigure, plan: TetrisPlan, lines: Number}|null} turn A null when the game is over
+   */
+  record (game, turn) {
+    this.pieces = game.sequence.slice()
+    if (!turn) {
+      this.isOver = true
+      return
+    }
+    const {figure, plan, lines} = turn
+    this.turns.push({
+      kind: figure.kind,
+      hold: game.hold,
+      previews: game.previews,
+      actions: plan.actions.map(action => Object.assign({}, action)),
+      states: plan.states.map(state => ({
+        cells: state.toArray(),
+        orientation: state.orientation
+      })),
+      lines,
+      score: game.score,
+      nodeCount: plan.nodeCount,
+      planningTime: plan.planningTime
+    })
+  }
+  /**
+   * @param {Number} turnIdx
+   * @param {Number} stateIdx
+   * @returns {TetrisFigure}
+   */
+  getFigure (turnIdx, stateIdx) {
+    const {kind, states} = this.turns[turnIdx]
+    const {cells, orientation} = states[stateIdx]
+    // A recorded figure is only drawn, so any cell does as its pivot
+    return new TetrisFigure(cells, cells[0], kind, orientation)
+  }
+  /**
+   * Gets a world before a turn (every previous figure is locked there), it must not be changed
+   * @param {Number} turnIdx this.turns.length gives the world after the last turn
+   * @returns {TetrisWorld}
+   */
+  getWorld (turnIdx) {
+    if (this.worlds.length === 0) {
+      this.worlds.push(new TetrisWorld(this.world))
+    }
+    while (this.worlds.length <= turnIdx) {
+      const i = this.worlds.length - 1
+      const world = this.worlds[i].clone()
+      world.lock(this.getFigure(i, this.turns[i].states.length - 1))
+      world.clearFullRows()
+      this.worlds.push(world)
+    }
+    return this.worlds[turnIdx]
+  }
+  /**
+   * @returns {Object}
+   */
+  toJSON () {
+    const {version, seed, config, world, pieces, turns, isOver} = this
+    return {version, seed, config, world, pieces, turns, isOver}
+  }
+  /**
+   * @param {String|Object} json
+   * @returns {TetrisReplay}
+   */
+  static fromJSON (json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json
+    if (data.version !== this.VERSION) {
+      throw new Error(`Unsupported version of a replay "${data.version}"`)
+    }
+    const replay = new this(data.world, data)
+    replay.pieces = data.pieces
+    replay.turns = data.turns
+    replay.isOver = Boolean(data.isOver)
+    return replay
+  }
+}
+
+// It changes every time when the format changes
+TetrisReplay.VERSION = 1
+
+/**
+ * Plays a replay frame by frame: a frame is a state of a figure over the world.
+ * It knows nothing about the page, a callback renders frames
+ */
+class TetrisReplayPlayer {
+  /**
+   * @param {TetrisReplay} replay
+   * @param {Function} render Gets a frame (see TetrisRenderer) with indexes of a turn and its state
+   * @param {Object} [options]
+   * @param {Number} [options.delay] Milliseconds per frame
+   * @param {Function} [options.onEnd] Called when the frames are over, it returns true if the replay has got new turns
+   * (or a promise of that, e.g. while a worker plans a new turn)
+   */
+  constructor (replay, render, {delay = 500, onEnd = null} = {}) {
+    this.render = render
+    this.delay = delay
+    this.onEnd = onEnd
+    this.timer = null
+    this.waiting = null // a promise of onEnd
+    this.load(replay)
+  }
+  /**
+   * @param {TetrisReplay} replay
+   */
+  load (replay) {
+    this.pause()
+    this.replay = replay
+    this.frames = [] // pairs of indexes of a turn and its state
+    this.idx = -1
+    this.sync()
+  }
+  /**
+   * Adds frames of the turns which have been recorded since the last call
+   */
+  sync () {
+    const {turns, isOver} = this.replay
+    const last = this.frames[this.frames.length - 1]
+    if (last && last[1] === null) {
+      return
+    }
+    let turnIdx = last ? last[0] + 1 : 0
+    for (; turnIdx < turns.length; turnIdx++) {
+      turns[turnIdx].states.forEach((_, stateIdx) => this.frames.push([turnIdx, stateIdx]))
+    }
+    if (isOver) {
+      // The world after the last figure
+      this.frames.push([turns.length, null])
+    }
+  }
+  /**
+   * @returns {Boolean}
+   */
+  get isPlaying () {
+    return this.timer !== null || this.waiting !== null
+  }
+  play () {
+    if (!this.isPlaying) {
+      this.timer = setTimeout(_ => this.tick(), 0)
+    }
+  }
+  pause () {
+    clearTimeout(this.timer)
+    this.timer = null
+    this.waiting = null
+  }
+  tick () {
+    this.timer = null
+    const hasTurns = this.idx + 1 < this.frames.length || (this.onEnd && this.onEnd(this))
+    if (hasTurns instanceof Promise) {
+      // It is still playing while new turns are on the way
+      this.waiting = hasTurns
+      hasTurns.then(result => {
+        if (this.waiting !== hasTurns) {
+          return // it has been paused meanwhile
+        }
+        this.waiting = null
+        if (result) {
+          this.sync()
+          this.play()
+        }
+      })
+      return
+    }
+    if (!hasTurns) {
+      this.pause()
+      return
+    }
+    this.sync()
+    this.seek(this.idx + 1)
+    this.timer = setTimeout(_ => this.tick(), this.delay)
+  }
+  /**
+   * Pauses the player and moves a frame forward or back
+   * @param {Number} delta
+   */
+  step (delta) {
+    this.pause()
+    this.seek(this.idx + delta)
+  }
+  /**
+   * @param {Number} idx Index of a frame
+   */
+  seek (idx) {
+    if (this.frames.length === 0) {
+      return
+    }
+    this.idx = Math.min(Math.max(idx, 0), this.frames.length - 1)
+    const [turnIdx, stateIdx] = this.frames[this.idx]
+    const {turns} = this.replay
+    const world = this.replay.getWorld(turnIdx)
+
+    if (stateIdx === null) {
+      const prev = turns[turnIdx - 1]
+      this.render({
+        world,
+        hold: prev ? prev.hold : null,
+        comment: `Game over (${this.getStats(turnIdx)})`,
+        turnIdx,
+        stateIdx
+      })
+      return
+    }
+    const turn = turns[turnIdx]
+    this.render({
+      world,
+      figure: this.replay.getFigure(turnIdx, stateIdx),
+      ghost: this.replay.getFigure(turnIdx, turn.states.length - 1),
+      previews: turn.previews || [], // replays without previews are fine too
+      hold: turn.hold,
+      comment: `#${turnIdx + 1} figure (${turn.kind}), ` +
+        `#${stateIdx + 1} of ${turn.states.length} states (${this.getStats(turnIdx)}), ` +
+        `actions: ${turn.actions.map(action => action.type).join(', ')}`,
+      turnIdx,
+      stateIdx
+    })
+  }
+  /**
+   * Jumps to the first state of a figure
+   * @param {Number} piece A number of a figure (starts from 1)
+   */
+  jumpToPiece (piece) {
+    const idx = this.frames.findIndex(([turnIdx]) => turnIdx >= piece - 1)
+    this.pause()
+    this.seek(idx === -1 ? this.frames.length - 1 : idx)
+  }
+  /**
+   * Stats before a turn
+   * @param {Number} turnIdx
+   * @returns {String}
+   */
+  getStats (turnIdx) {
+    const {seed, turns} = this.replay
+    const prev = turns.slice(0, turnIdx)
+    const score = prev.length > 0 ? prev[prev.length - 1].score : 0
+    const lines = prev.reduce((sum, turn) => sum + turn.lines, 0)
+    return `seed: ${seed}, score: ${score}, lines: ${lines}`
+  }
+}
+
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {TetrisReplay, TetrisReplayPlayer}
+}
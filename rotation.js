@@ -0,0 +1,132 @@
+/*
+  Dependencies
+
+    Tetris:
+      + TetrisWorld
+      + TetrisFigure
+ */
+
+/**
+ * Decides where a figure goes when it rotates next to walls or other figures.
+ * A rotation tries the offsets (kicks) in order and the first one that fits wins
+ * @see https://tetris.wiki/Super_Rotation_System
+ */
+class RotationSystem {
+  /**
+   * @param {String} type One of RotationSystem.TYPE
+   * @param {Object.<String, Array.<Array.<Number>>>} [kicks] Offsets (x, y) by transitions like "0->R". The y axis goes up
+   * @param {Object.<String, Object>} [kicksByKind] Tables which override the kicks for certain kinds of figures
+   */
+  constructor (type, kicks = {}, kicksByKind = {}) {
+    this.type = type
+    this.kicks = kicks
+    this.kicksByKind = kicksByKind
+  }
+  /**
+   * @param {String} kind
+   * @param {Number} from Orientation before the rotation
+   * @param {Number} to Orientation after the rotation
+   * @returns {Array.<Array.<Number>>} Offsets (x, y), the y axis goes up
+   */
+  getKicks (kind, from, to) {
+    const {ORIENTATION} = this.constructor
+    const table = this.kicksByKind[kind] || this.kicks
+    return table[`${ORIENTATION[from]}->${ORIENTATION[to]}`] || [[0, 0]]
+  }
+  /**
+   * Rotates a figure trying the kicks in order
+   * @param {TetrisWorld} world
+   * @param {TetrisFigure} figure
+   * @param {Number} degree
+   * @returns {TetrisFigure|null} A rotated figure (it remembers the used kick) or null when a figure cannot rotate
+   */
+  rotate (world, figure, degree) {
+    const rotated = figure.clone().rotate(degree)
+    const kicks = this.getKicks(figure.kind, figure.orientation, rotated.orientation)
+    for (let i = 0; i < kicks.length; i++) {
+      const [x, y] = kicks[i]
+      const state = rotated.clone().move([x, -y])
+      if (world.mayLocate(state)) {
+        state.kick = i
+        return state
+      }
+    }
+    return null
+  }
+  /**
+   * Finds the figures which turn into a given figure after a rotation by degree.
+   * It is the same rotation looked at backwards, so a kick counts only if the previous kicks fail
+   * @param {TetrisWorld} world
+   * @param {TetrisFigure} figure
+   * @param {Number} degree
+   * @returns {Array.<{state: TetrisFigure, kick: Number}>} Figures before the rotation and the used kicks
+   */
+  unrotate (world, figure, degree) {
+    const unrotated = figure.clone().rotate(360 - degree)
+    const kicks = this.getKicks(figure.kind, unrotated.orientation, figure.orientation)
+    const variants = []
+    kicks.forEach(([x, y], kick) => {
+      const state = unrotated.clone().move([-x, y])
+      if (!world.mayLocate(state)) {
+        return
+      }
+      const rotated = this.rotate(world, state, degree)
+      if (rotated && rotated.kick === kick) {
+        variants.push({state, kick})
+      }
+    })
+    return variants
+  }
+  /**
+   * @param {String} type
+   * @returns {RotationSystem}
+   */
+  static factory (type) {
+    switch (type) {
+      case this.TYPE.NONE:
+        return new this(type)
+      case this.TYPE.SRS:
+        return new this(type, this.SRS_KICKS, {
+          [TetrisFigure.KIND.I]: this.SRS_I_KICKS,
+          [TetrisFigure.KIND.O]: {}
+        })
+      default:
+        throw new Error('Unknown rotation system')
+    }
+  }
+}
+
+RotationSystem.TYPE = {
+  'NONE': 'none', // a figure rotates in place or does not rotate at all
+  'SRS': 'srs'
+}
+
+RotationSystem.ORIENTATION = ['0', 'R', '2', 'L']
+
+// J, L, S, T, Z
+RotationSystem.SRS_KICKS = {
+  '0->R': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  'R->0': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  'R->2': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  '2->R': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  '2->L': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+  'L->2': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  'L->0': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  '0->L': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]]
+}
+
+RotationSystem.SRS_I_KICKS = {
+  '0->R': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  'R->0': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  'R->2': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+  '2->R': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  '2->L': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  'L->2': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  'L->0': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  '0->L': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]]
+}
+
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {RotationSystem}
+}
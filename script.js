@@ -2,7 +2,7 @@
 const {
   Matrix, // https://github.com/mateogianolio/vectorious
   Vue
-} = window
+} = typeof window !== 'undefined' ? window : {Matrix: require('vectorious').Matrix} // Node.js has no Vue
 
 /*
   Other dependencies
@@ -10,26 +10,30 @@ const {
     Data structures and algorithms:
       + GraphNode
       + astarGraphSearch
-
-    utils:
-      + getRandomIntInclusive
+      + weightedAstarGraphSearch
+      + greedyBestFirstGraphSearch
+      + uniformCostSearch
+      + breadthFirstGraphSearch
+      + breadthFirstGraphTraversal
+      + iterativeDeepeningAstarSearch
  */
 
 class Figure {
   /**
    * @param {Array.<Array>.<Number>|Matrix} m Coordinate pairs (x, y) of a figure as a matrix
-   * @param {Number} c Center of a figure relative itself (index of a pair)
+   * @param {Array.<Number>} pivot A point (x, y) which a figure rotates around,
+   *   it may lie between cells (e.g. [0.5, 0.5] is the corner of four cells)
    */
-  constructor (m, c) {
+  constructor (m, pivot) {
     this.m = new Matrix(m)
-    this.c = c
+    this.pivot = pivot.slice()
   }
   /**
    * @returns {Figure}
    */
   clone () {
-    const {m, c} = this
-    return new this.constructor(m, c)
+    const {m, pivot} = this
+    return new this.constructor(m, pivot)
   }
   /**
    * @param {Array.<Number>} vec
@@ -79,22 +83,26 @@ class Figure {
     ]
   }
   /**
-   * Gets center as a vector
+   * Gets center (the pivot) as a vector
    * @returns {Array.<Number>}
    */
   getCenter () {
-    const x = this.m.get(this.c, 0)
-    const y = this.m.get(this.c, 1)
-    return [x, y]
+    return this.pivot.slice()
   }
   /**
-   * Shifts a figure relative its current position using a bit of linear algebra
+   * Shifts a figure relative its current position.
+   * It is the same as adding a matrix of vectors, but without creating one (figures move a lot)
    * @param {Array.<Number>} vec A shift in relative coordinates
    * @returns {Figure}
    */
   move (vec) {
-    const mShift = this.createVectorMatrix(vec)
-    this.m.add(mShift)
+    const [x, y] = vec
+    const {data} = this.m
+    for (let i = 0; i < data.length; i += 2) {
+      data[i] += x
+      data[i + 1] += y
+    }
+    this.pivot = [this.pivot[0] + vec[0], this.pivot[1] + vec[1]]
     return this
   }
   /**
@@ -144,24 +152,13 @@ class Figure {
   /**
    * Moves every point of a figure by the same amount in a given direction
    * @see https://en.wikipedia.org/wiki/Translation_(geometry)
-   * @param {Array.<Number>} vec A new central point in absolute coordinates
+   * @param {Array.<Number>} vec A new central point in absolute coordinates.
+   *   A pivot between cells goes to the cell of its integer part, so cells stay on the grid
    * @returns {Figure}
    */
   translate (vec) {
-    // The absolute coordinates of the center of a figure
-    const vCenter = this.getCenter()
-    const mCenter = this.createVectorMatrix(vCenter)
-
-    // Converting figure's position to the relative coordinate system
-    this.m.subtract(mCenter)
-
-    // New absolute coordinates of the center of a figure
-    const mNewCenter = this.createVectorMatrix(vec)
-
-    // Convert figure's position to the absolute coordinate system
-    this.m.add(mNewCenter)
-
-    return this
+    const [x, y] = this.getCenter()
+    return this.move([vec[0] - Math.floor(x), vec[1] - Math.floor(y)])
   }
   /**
    * Returns two-dimensional array
@@ -173,6 +170,21 @@ class Figure {
 }
 
 class TetrisFigure extends Figure {
+  /**
+   * @param {Array.<Array>.<Number>|Matrix} m Coordinate pairs (x, y) of a figure as a matrix
+   * @param {Array.<Number>} pivot See Figure
+   * @param {String} [kind] One of TetrisFigure.KIND or another kind of TetrisFigure.PIECES
+   * @param {Number} [orientation] 0 (spawn), 1 (R), 2 or 3 (L)
+   * @param {Number|null} [kick] Index of a wall kick used by the last rotation
+   */
+  constructor (m, pivot, kind = null, orientation = 0, kick = null) {
+    super(m, pivot)
+    this.kind = kind
+    this.orientation = orientation
+    this.kick = kick
+    this.masks = null // masks of the piece by orientations (see getMasks), figures of the factory have them
+    this.mask = null // see getMask
+  }
   /**
    * Calculates an id as a sequence of coordinates
    * @return {String}
@@ -181,70 +193,153 @@ class TetrisFigure extends Figure {
     return '[' + String(this.m.data) + ']'
   }
   /**
-   * @see http://codenjoy.com/portal/?p=170
-   * @param {String} type
+   * @returns {TetrisFigure}
+   */
+  clone () {
+    const {m, pivot, kind, orientation, kick} = this
+    const figure = new this.constructor(m, pivot, kind, orientation, kick)
+    figure.masks = this.masks
+    figure.mask = this.mask
+    return figure
+  }
+  /**
+   * @param {Array.<Number>} vec A shift in relative coordinates
+   * @returns {TetrisFigure}
+   */
+  move (vec) {
+    super.move(vec)
+    this.kick = null
+    if (this.mask) {
+      const {left, top, width, rows} = this.mask
+      this.mask = {left: left + vec[0], top: top + vec[1], width, rows}
+    }
+    return this
+  }
+  /**
+   * Rotates a figure and keeps track of its orientation.
+   * On the screen (the y axis goes down) 90 degrees is a counterclockwise rotation
+   * @param {Number} degree
+   * @returns {TetrisFigure}
+   */
+  rotate (degree) {
+    super.rotate(degree)
+    this.orientation = (this.orientation + (360 - degree) / 90) % 4
+    this.kick = null
+    this.mask = this.masks ? this.placeMask(this.masks[this.orientation]) : null
+    return this
+  }
+  /**
+   * Cells as a bitmask per row (the bit 0 is the column "left"), see TetrisWorld
+   * @returns {{left: Number, top: Number, width: Number, rows: Array.<Number>}}
+   */
+  getMask () {
+    if (!this.mask) {
+      const {dx, dy, width, rows} = this.constructor.createMask(this.toArray(), [0, 0])
+      this.mask = {left: dx, top: dy, width, rows}
+    }
+    return this.mask
+  }
+  /**
+   * @param {Object} mask A mask relative to the pivot (see createMask)
+   * @returns {Object} A mask at the position of this figure (see getMask)
+   */
+  placeMask ({dx, dy, width, rows}) {
+    const [x, y] = this.pivot
+    return {left: x + dx, top: y + dy, width, rows}
+  }
+  /**
+   * @param {String} type A kind of TetrisFigure.PIECES
+   * @returns {TetrisFigure} A figure in its spawn state
    */
   static factory (type) {
-    switch (type) {
-      case this.KIND.I:
-        return new this([
-          // x, y
-          [0, 0],
-          [0, 1],
-          [0, 2],
-          [0, 3]
-        ], 1)
-      case this.KIND.O:
-        return new this([
-          // x, y
-          [0, 0],
-          [1, 0],
-          [1, 1],
-          [0, 1]
-        ], 0)
-      case this.KIND.L:
-        return new this([
-          // x, y
-          [0, 0],
-          [0, 1],
-          [0, 2],
-          [1, 2]
-        ], 1)
-      case this.KIND.J:
-        return new this([
-          // x, y
-          [1, 0],
-          [1, 1],
-          [1, 2],
-          [0, 2]
-        ], 1)
-      case this.KIND.S:
-        return new this([
-          // x, y
-          [0, 1],
-          [1, 1],
-          [1, 0],
-          [2, 0]
-        ], 1)
-      case this.KIND.Z:
-        return new this([
-          // x, y
-          [0, 0],
-          [1, 0],
-          [1, 1],
-          [2, 1]
-        ], 2)
-      case this.KIND.T:
-        return new this([
-          // x, y
-          [0, 1],
-          [1, 0],
-          [1, 1],
-          [2, 1]
-        ], 2)
-      default:
-        throw new Error('Unknown figure type')
+    const piece = this.PIECES[type]
+    if (!piece) {
+      throw new Error('Unknown figure type')
+    }
+    const figure = new this(piece.cells, piece.pivot, type)
+    figure.masks = this.getMasks(type)
+    figure.mask = figure.placeMask(figure.masks[0])
+    return figure
+  }
+  /**
+   * Masks of a piece in every orientation, they are computed once per kind
+   * @param {String} kind
+   * @returns {Array.<Object>} Masks relative to the pivot by orientations (see createMask)
+   */
+  static getMasks (kind) {
+    if (!this.MASKS[kind]) {
+      const piece = this.PIECES[kind]
+      const masks = []
+      let figure = new this(piece.cells, piece.pivot, kind)
+      for (let i = 0; i < 4; i++) {
+        masks[figure.orientation] = this.createMask(figure.toArray(), figure.pivot)
+        figure = figure.rotate(270)
+      }
+      this.MASKS[kind] = masks
+    }
+    return this.MASKS[kind]
+  }
+  /**
+   * @param {Array.<Array.<Number>>} cells
+   * @param {Array.<Number>} origin
+   * @returns {{dx: Number, dy: Number, width: Number, rows: Array.<Number>}} Bitmasks of rows
+   * and the top left corner of the bounds relative to the origin
+   */
+  static createMask (cells, [x0, y0]) {
+    const xs = cells.map(([x]) => x)
+    const ys = cells.map(([, y]) => y)
+    const xMin = Math.min(...xs)
+    const yMin = Math.min(...ys)
+    const rows = new Array(Math.max(...ys) - yMin + 1).fill(0)
+    for (const [x, y] of cells) {
+      rows[y - yMin] |= 1 << (x - xMin)
+    }
+    return {dx: xMin - x0, dy: yMin - y0, width: Math.max(...xs) - xMin + 1, rows}
+  }
+  /**
+   * Adds a piece to the registry (or replaces one)
+   * @param {String} kind
+   * @param {Object} piece
+   * @param {Array.<Array.<Number>>} piece.cells Cells (x, y) of the spawn state, the y axis goes down
+   * @param {Array.<Number>} piece.pivot A point (x, y) which the piece rotates around (see Figure)
+   * @param {String} piece.color A CSS colour
+   * @param {String} [piece.set] One of TetrisFigure.SET or any other name of a set
+   */
+  static define (kind, {cells, pivot, color, set = null}) {
+    if (cells.length === 0 || pivot.length !== 2) {
+      throw new Error('A piece needs cells and a pivot')
     }
+    this.PIECES[kind] = {cells, pivot, color, set}
+    delete this.MASKS[kind]
+  }
+  /**
+   * @param {String} [set] One of TetrisFigure.SET
+   * @returns {Array.<String>} Kinds of the pieces of a set in the order they have been defined
+   */
+  static getKinds (set = this.SET.STANDARD) {
+    const kinds = Object.keys(this.PIECES).filter(kind => this.PIECES[kind].set === set)
+    if (kinds.length === 0) {
+      throw new Error('Unknown set of pieces')
+    }
+    return kinds
+  }
+  /**
+   * Splits a sequence of kinds, e.g. "TIOL" or "I5L5T" (longer kinds win)
+   * @param {String} text
+   * @returns {Array.<String>}
+   */
+  static parseKinds (text) {
+    const kinds = Object.keys(this.PIECES).sort((a, b) => b.length - a.length)
+    const sequence = []
+    for (let i = 0; i < text.length;) {
+      const kind = kinds.find(kind => text.startsWith(kind, i))
+      if (!kind) {
+        throw new Error(`Unknown figure "${text[i]}"`)
+      }
+      sequence.push(kind)
+      i += kind.length
+    }
+    return sequence
   }
 }
 
@@ -258,38 +353,99 @@ TetrisFigure.KIND = {
   'T': 'T'
 }
 
+// The registry of pieces by kinds (see TetrisFigure.define and pieces.js)
+TetrisFigure.PIECES = {}
+
+// Masks of pieces by kinds (see TetrisFigure.getMasks)
+TetrisFigure.MASKS = {}
+
+TetrisFigure.SET = {
+  'STANDARD': 'standard', // the seven tetrominoes
+  'TRIOMINOES': 'triominoes',
+  'PENTOMINOES': 'pentominoes'
+}
+
+/**
+ * A world keeps a bitmask per row (the bit x is the cell x), so a figure is checked
+ * against a row with a single operation (see TetrisFigure.getMask)
+ */
 class TetrisWorld {
   /**
-   * @param {Array.<Array>.<Number>|Matrix} m A world as a matrix
+   * @param {Array.<Array>.<Number>|Matrix} m A world as a matrix of TetrisWorld.THING
+   * @param {Array.<Array.<(String|null)>>} [kinds] Kinds of locked figures by cells (e.g. for colours), null for other walls
    */
-  constructor (m) {
-    this.m = new Matrix(m)
+  constructor (m, kinds = null) {
+    const {THING, MAX_WIDTH} = this.constructor
+    const rows = Array.isArray(m) ? m : m.toArray()
+    this.height = rows.length
+    this.width = rows.length > 0 ? rows[0].length : 0
+    if (this.width > MAX_WIDTH) {
+      throw new Error(`A world is at most ${MAX_WIDTH} cells wide`)
+    }
+    this.walls = new Uint32Array(this.height)
+    this.figures = new Uint32Array(this.height) // cells of located figures (see locate)
+    rows.forEach((row, y) => row.forEach((v, x) => {
+      if (v === THING.WALL) {
+        this.walls[y] |= 1 << x
+      } else if (v === THING.FIGURE) {
+        this.figures[y] |= 1 << x
+      }
+    }))
+    this.kinds = kinds
   }
   /**
+   * A mask of a row without empty cells
    * @returns {Number}
    */
-  get width () {
-    return this.m.shape[1]
+  get full () {
+    return (1 << this.width) - 1
   }
   /**
-   * @returns {Number}
+   * @param {Boolean} [withKinds] False gives a copy of the bitmasks only (e.g. for the evaluation), it has no kinds
+   * @returns {TetrisWorld}
    */
-  get height () {
-    return this.m.shape[0]
+  clone (withKinds = true) {
+    const world = Object.create(Object.getPrototypeOf(this))
+    world.width = this.width
+    world.height = this.height
+    world.walls = this.walls.slice()
+    world.figures = this.figures.slice()
+    world.kinds = withKinds && this.kinds ? this.kinds.map(row => row.slice()) : null
+    return world
   }
   /**
-   * @returns {TetrisWorld}
+   * @param {Number} x
+   * @param {Number} y
+   * @returns {Number} One of TetrisWorld.THING
    */
-  clone () {
-    return new TetrisWorld(this.m)
+  get (x, y) {
+    const {THING} = this.constructor
+    if (this.walls[y] & (1 << x)) {
+      return THING.WALL
+    }
+    return this.figures[y] & (1 << x) ? THING.FIGURE : THING.EMPTY_SPACE
   }
   /**
    * @param {Number} x
    * @param {Number} y
-   * @returns {*}
+   * @param {Number} thing One of TetrisWorld.THING, a wall gets no kind
    */
-  get (x, y) {
-    return this.m.get(y, x)
+  set (x, y, thing) {
+    const {THING} = this.constructor
+    const bit = 1 << x
+    this.walls[y] = thing === THING.WALL ? this.walls[y] | bit : this.walls[y] & ~bit
+    this.figures[y] = thing === THING.FIGURE ? this.figures[y] | bit : this.figures[y] & ~bit
+    if (this.kinds) {
+      this.kinds[y][x] = null
+    }
+  }
+  /**
+   * @param {Number} x
+   * @param {Number} y
+   * @returns {String|null} A kind of a locked figure there or null
+   */
+  getKind (x, y) {
+    return this.kinds ? this.kinds[y][x] : null
   }
   /**
    * TODO: we should use single method for drawing
@@ -297,10 +453,10 @@ class TetrisWorld {
    * @param {TetrisFigure} figure
    */
   dislocate (figure) {
+    const {THING} = this.constructor
     figure.each((_, y, x) => {
-      const p = [x, y]
-      if (this.inRangePoint(p)) {
-        this.m.set(y, x, this.constructor.THING.EMPTY_SPACE)
+      if (this.inRangePoint([x, y])) {
+        this.set(x, y, THING.EMPTY_SPACE)
       }
     })
   }
@@ -310,28 +466,88 @@ class TetrisWorld {
    */
   locate (figure) {
     figure.each((_, y, x) => {
-      const p = [x, y]
-      if (this.inRangePoint(p)) {
-        this.m.set(y, x, this.constructor.THING.FIGURE)
+      if (this.inRangePoint([x, y])) {
+        this.figures[y] |= 1 << x
       }
     })
   }
   /**
-   * Checks if a figure overlaps others or not
+   * Turns a figure into a part of the walls (it cannot move anymore)
+   * @param {TetrisFigure} figure
+   * @param {Boolean} [withKinds] False changes the bitmasks only
+   */
+  lock (figure, withKinds = true) {
+    if (withKinds && !this.kinds) {
+      this.kinds = Array.from({length: this.height}, _ => new Array(this.width).fill(null))
+    }
+    figure.each((_, y, x) => {
+      if (this.inRangePoint([x, y])) {
+        this.walls[y] |= 1 << x
+        this.figures[y] &= ~(1 << x)
+        if (this.kinds) {
+          this.kinds[y][x] = figure.kind
+        }
+      }
+    })
+  }
+  /**
+   * Removes rows without empty cells and shifts the rows above them down
+   * @returns {Number} Count of removed rows
+   */
+  clearFullRows () {
+    const {full, height} = this
+    const rest = []
+    for (let y = 0; y < height; y++) {
+      if ((this.walls[y] | this.figures[y]) !== full) {
+        rest.push(y)
+      }
+    }
+    const count = height - rest.length
+    if (count === 0) {
+      return 0
+    }
+    const walls = new Uint32Array(height)
+    const figures = new Uint32Array(height)
+    rest.forEach((y, i) => {
+      walls[count + i] = this.walls[y]
+      figures[count + i] = this.figures[y]
+    })
+    this.walls = walls
+    this.figures = figures
+    if (this.kinds) {
+      const kinds = rest.map(y => this.kinds[y])
+      this.kinds = Array.from({length: count}, _ => new Array(this.width).fill(null)).concat(kinds)
+    }
+    return count
+  }
+  /**
+   * Locks a figure into a copy of the world and clears full rows there, the world stays the same
+   * @param {TetrisFigure} figure
+   * @param {Boolean} [withKinds] False skips kinds of cells (see clone), the search needs the bitmasks only
+   * @returns {{world: TetrisWorld, lines: Number}}
+   */
+  place (figure, withKinds = true) {
+    const world = this.clone(withKinds)
+    world.lock(figure, withKinds)
+    const lines = world.clearFullRows()
+    return {world, lines}
+  }
+  /**
+   * Checks if a figure is inside of the world and overlaps no others
    * @param {TetrisFigure} figure
    * @return {Boolean}
    */
   mayLocate (figure) {
-    const c = figure.m.shape[1]
-    const things = new Array(c)
-    figure.each((i, y, x) => {
-      const p = [x, y]
-      if (this.inRangePoint(p)) {
-        things[i] = this.m.get(y, x)
+    if (!this.inRange(figure)) {
+      return false
+    }
+    const {left, top, rows} = figure.getMask()
+    for (let i = 0; i < rows.length; i++) {
+      if ((this.walls[top + i] | this.figures[top + i]) & (rows[i] << left)) {
+        return false
       }
-    })
-    const {THING} = this.constructor
-    return things.every(v => THING.EMPTY_SPACE === v)
+    }
+    return true
   }
   /**
    * Checks if a figure inside of the world or not
@@ -339,8 +555,8 @@ class TetrisWorld {
    * @return {Boolean}
    */
   inRange (figure) {
-    const [p1, p2] = figure.getBounds()
-    return this.inRangePoint(p1) && this.inRangePoint(p2)
+    const {left, top, width, rows} = figure.getMask()
+    return left >= 0 && top >= 0 && left + width <= this.width && top + rows.length <= this.height
   }
   /**
    * Checks if a point inside of the world or not
@@ -348,43 +564,55 @@ class TetrisWorld {
    * @return {Boolean}
    */
   inRangePoint (vec) {
-    const minX = 0
-    const minY = 0
-    const maxX = this.width - 1
-    const maxY = this.height - 1
     const [x, y] = vec
-    return x >= minX && x <= maxX && y >= minY && y <= maxY
+    return x >= 0 && x < this.width && y >= 0 && y < this.height
+  }
+  /**
+   * Creates a figure at the top of the world (horizontally centered)
+   * @param {String} kind One of TetrisFigure.KIND
+   * @returns {TetrisFigure}
+   */
+  spawn (kind) {
+    const figure = TetrisFigure.factory(kind)
+    const [[xMin], [xMax]] = figure.getBounds()
+    const x = Math.floor((this.width - (xMax - xMin + 1)) / 2) - xMin
+    return figure.move([x, 0])
   }
   /**
    * @param {Number} [xStart]
    * @param {Number} [yStart]
+   * @param {Random} [random] A seeded generator makes the same walls every time
    */
-  sample (xStart = -1, yStart = -1) {
-    const m = Matrix.random(this.height, this.width)
-
-    m.each((v, y, x) => {
-      const nV = Math.round(v) > 0
-        ? this.constructor.THING.WALL
-        : this.constructor.THING.EMPTY_SPACE
-      m.set(y, x, nV)
-    })
-
-    m.each((v, y, x) => {
-      const nV = y > yStart && x > xStart
-        ? v
-        : this.constructor.THING.EMPTY_SPACE
-      m.set(y, x, nV)
-    })
-
-    this.m = m
+  sample (xStart = -1, yStart = -1, random = new Random()) {
+    this.walls = new Uint32Array(this.height)
+    this.figures = new Uint32Array(this.height)
+    // Every cell takes a random number, so the same seed gives the same walls
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        const isWall = Math.round(random.next()) > 0
+        if (isWall && y > yStart && x > xStart) {
+          this.walls[y] |= 1 << x
+        }
+      }
+    }
+    this.kinds = null
   }
   /**
    * @param {String} [comment]
+   * @param {Array.<{figure: TetrisFigure, className: String}>} [overlays] Figures which are drawn over empty cells only (e.g. hints)
    * @return {HTMLElement}
    */
-  renderToHtmlElement (comment = '') {
+  renderToHtmlElement (comment = '', overlays = []) {
     const {THING} = this.constructor
     const rows = this.toArray()
+    const overlayClasses = rows.map(row => row.map(_ => null))
+    for (const {figure, className} of overlays) {
+      figure.each((_, y, x) => {
+        if (this.inRangePoint([x, y]) && rows[y][x] === THING.EMPTY_SPACE) {
+          overlayClasses[y][x] = className
+        }
+      })
+    }
     const vm = new Vue({
       el: document.createElement('div'),
       data () {
@@ -394,12 +622,12 @@ class TetrisWorld {
         }
       },
       methods: {
-        getClassName (v) {
+        getClassName (v, x, y) {
           const classes = {
             [THING.FIGURE]: 'bg-primary',
             [THING.WALL]: 'bg-secondary'
           }
-          return classes[v]
+          return classes[v] || overlayClasses[y][x]
         }
       },
       template: `
@@ -412,8 +640,8 @@ class TetrisWorld {
               <tr v-for="(row, idx) in rows">
                 <td v-text="idx"
                     class="text-right text-muted"></td>
-                <td v-for="cell in row"
-                    v-bind:class="getClassName(cell)"
+                <td v-for="(cell, x) in row"
+                    v-bind:class="getClassName(cell, x, idx)"
                     style="width: 34px; height: 34px;">
                     &nbsp;
                 </td>
@@ -438,7 +666,38 @@ class TetrisWorld {
    * @return {Array.<Array>.<Number>}
    */
   toArray () {
-    return this.m.toArray()
+    return Array.from({length: this.height}, (_, y) => {
+      return Array.from({length: this.width}, (_, x) => this.get(x, y))
+    })
+  }
+  /**
+   * Returns a world as text: a line per row and a char per cell (see TetrisWorld.CHAR)
+   * @return {String}
+   */
+  toString () {
+    const {CHAR} = this.constructor
+    return this.toArray().map(row => row.map(v => CHAR[v]).join('')).join('\n')
+  }
+  /**
+   * Creates a world from text (see toString)
+   * @param {String} text
+   * @return {TetrisWorld}
+   */
+  static fromString (text) {
+    const {CHAR} = this
+    const things = Object.keys(CHAR)
+    const rows = text.split('\n').map(line => line.trim()).filter(line => line.length > 0)
+    const m = rows.map(line => Array.from(line, char => {
+      const thing = things.find(v => CHAR[v] === char)
+      if (thing === undefined) {
+        throw new Error(`Unknown cell "${char}"`)
+      }
+      return Number(thing)
+    }))
+    if (m.length === 0 || m.some(row => row.length !== m[0].length)) {
+      throw new Error('Rows of a world must have the same length')
+    }
+    return new this(m)
   }
 }
 
@@ -448,21 +707,191 @@ TetrisWorld.THING = {
   'FIGURE': 2
 }
 
+// Rows are masks of 32-bit integers
+TetrisWorld.MAX_WIDTH = 30
+
+TetrisWorld.CHAR = {
+  [TetrisWorld.THING.EMPTY_SPACE]: '.',
+  [TetrisWorld.THING.WALL]: '#',
+  [TetrisWorld.THING.FIGURE]: '@'
+}
+
+/**
+ * A result of planning: how a figure gets from its spawn state to its placement
+ */
+class TetrisPlan {
+  /**
+   * @param {Array.<TetrisFigure>} states Every state from the spawn state to the placement
+   * @param {Array.<{type: String, kick: (Number|undefined)}>} actions One of TetrisPlan.ACTION each
+   * @param {Number} nodeCount Count of expanded nodes
+   * @param {Number} planningTime In milliseconds
+   */
+  constructor (states = [], actions = [], nodeCount = 0, planningTime = 0) {
+    this.states = states
+    this.actions = actions
+    this.placement = states.length > 0 ? states[states.length - 1] : null
+    this.nodeCount = nodeCount
+    this.planningTime = planningTime
+  }
+}
+
+TetrisPlan.ACTION = {
+  'LEFT': 'left',
+  'RIGHT': 'right',
+  'DOWN': 'down',
+  'ROTATE_CW': 'rotateCW',
+  'ROTATE_CCW': 'rotateCCW',
+  'HARD_DROP': 'hardDrop', // it also locks a figure, so it is always the last action
+  'HOLD': 'hold' // it swaps a figure with the hold slot, so it is always the first action
+}
+
 class TetrisProblemSolver {
   /**
    * @param {TetrisWorld} world
    * @param {TetrisFigure} figure
-   * @returns {Array.<TetrisFigure>}
+   * @param {Object} [options]
+   * @param {RotationSystem} [options.rotationSystem] No kicks by default
+   * @param {String} [options.search] One of TetrisProblemSolver.SEARCH
+   * @param {String} [options.strategy] An algorithm of the path search, one of TetrisProblemSolver.STRATEGY (A* by default, the reachable search is always breadth-first)
+   * @param {Number} [options.weight] A weight of the heuristic for weighted A*
+   * @param {Boolean} [options.softDrop] A figure may move down step by step (the searches from the spawn state only)
+   * @param {Boolean} [options.hardDrop] A figure may drop to the bottom at once
+   * @param {Boolean} [options.allowTucks] A figure may move and rotate after it has moved down (the searches from the spawn state only)
+   * @param {TetrisEvaluator} [options.evaluator] Estimates placements (see estimateLocationOfFigure by default)
+   * @param {Array.<String>} [options.previews] Kinds of the next figures
+   * @param {Number} [options.depth] Count of figures to look at (the current one and previews)
+   * @param {Number} [options.beamWidth] Count of the best branches which the lookahead keeps
+   * @param {Number} [options.nodeBudget] The search stops after that count of expanded nodes and returns the best plan so far
+   * (it goes on until it has got a placement of the current figure)
+   * @param {Number} [options.timeBudget] The same as options.nodeBudget for the time of planning (in milliseconds)
+   * @param {String|null} [options.hold] A kind of a figure in the hold slot
+   * @param {Boolean} [options.canHold] The agent may use the hold slot in this turn
+   * @param {TetrisSearchTrace} [options.trace] Collects what the search does in the current world
+   * @param {Function} [options.onProgress] Gets {nodeCount, planningTime} after every part of the search
+   * (a variant of the hold slot, a branch of the lookahead)
+   * @returns {TetrisPlan} A plan without a placement when there is no way to place a figure
    */
-  static solve (world, figure) {
+  static solve (world, figure, options = {}) {
+    const startedAt = performance.now()
+    const {ACTION} = TetrisPlan
+    const {
+      hardDrop = true,
+      previews = [],
+      hold = null,
+      canHold = false,
+      nodeBudget = Infinity,
+      onProgress = null
+    } = options
+
+    // The agent may play the current figure, swap it with the hold slot
+    // or put it into the empty slot and play the next one (when the agent sees it)
+    const variants = [{figure, previews, isHold: false}]
+    if (canHold && hold !== null) {
+      variants.push({figure: world.spawn(hold), previews, isHold: true})
+    } else if (canHold && previews.length > 0) {
+      variants.push({figure: world.spawn(previews[0]), previews: previews.slice(1), isHold: true})
+    }
+
+    // The variants are compared by estimations of the same count of figures
+    // (a figure from the empty slot leaves one preview less to look at)
+    const locatableVariants = variants.filter(variant => this.getLocatableStatesOnly(world, [variant.figure]).length > 0)
+    const {depth: maxDepth = Infinity} = options
+    const depth = Math.min(maxDepth, ...locatableVariants.map(variant => variant.previews.length + 1))
+
+    let best = null
+    let nodeCount = 0
+    for (const variant of locatableVariants) {
+      if (best && this.isOverBudget(options, nodeCount, startedAt)) {
+        break // the plan of the current figure will do
+      }
+      // The variants share the budget and the progress
+      const spent = nodeCount
+      const variantOptions = Object.assign({}, options, {
+        previews: variant.previews,
+        depth,
+        nodeBudget: nodeBudget - spent,
+        onProgress: onProgress && (progress => onProgress(Object.assign({}, progress, {nodeCount: spent + progress.nodeCount})))
+      })
+      const found = depth > 1
+        ? this.lookahead(world, variant.figure, variantOptions, startedAt)
+        : this.findPlacements(world, variant.figure, variantOptions, 1, startedAt)
+      nodeCount += found.nodeCount
+      if (onProgress) {
+        onProgress({nodeCount, planningTime: performance.now() - startedAt})
+      }
+
+      // The same evaluator compares the variants
+      const [placement] = found.placements
+      if (placement && (!best || placement.estimation > best.placement.estimation)) {
+        best = {placement, isHold: variant.isHold}
+      }
+    }
+
+    if (!best) {
+      return new TetrisPlan([], [], nodeCount, performance.now() - startedAt)
+    }
+
+    // a sequence of movements and rotations
+    const {found} = best.placement
+    const actions = best.isHold ? [{type: ACTION.HOLD}].concat(found.actions) : found.actions
+    return this.createPlan(world, found.path, actions, nodeCount, performance.now() - startedAt, hardDrop)
+  }
+  /**
+   * Finds the best placements which a figure can reach
+   * @param {TetrisWorld} world
+   * @param {TetrisFigure} figure
+   * @param {Object} options See solve
+   * @param {Number} count Maximal count of placements
+   * @param {Number} [startedAt] When the planning has started (for options.timeBudget)
+   * @returns {{placements: Array.<{state: TetrisFigure, found: Object, estimation: Number}>, nodeCount: Number}} The best placement goes first
+   */
+  static findPlacements (world, figure, options, count, startedAt = performance.now()) {
     const {THING} = world.constructor
+    const {SEARCH} = this
+    const {
+      rotationSystem = RotationSystem.factory(RotationSystem.TYPE.NONE),
+      search = SEARCH.BACKWARD,
+      softDrop = true,
+      hardDrop = true,
+      allowTucks = true,
+      evaluator = null,
+      trace = null,
+      strategy,
+      weight
+    } = options
+    const placements = []
+    let nodeCount = 0
+
+    const estimate = evaluator
+      ? state => evaluator.evaluate(world, state)
+      : state => this.estimateLocationOfFigure(world, figure, state)
 
-    // We want to find the lowest appropriate cell
-    for (let y = world.height - 1; y >= 0; y--) {
-      // We need the coordinates of cells in this row
-      const row = Array.from({length: world.width}, (_, x) => [x, y])
+    if (search === SEARCH.REACHABLE) {
+      // One search lists every placement, then they are compared
+      const {nodeBudget, timeBudget} = options
+      const reachable = this.findReachablePlacements(world, figure, {rotationSystem, softDrop, hardDrop, allowTucks, trace, nodeBudget, timeBudget}, startedAt)
+      for (const placement of reachable.placements) {
+        placement.estimation = estimate(placement.state)
+        if (trace) {
+          trace.onCandidate(placement.state, placement.estimation, true)
+        }
+      }
+      // The sort is stable, so a shorter path wins among equal estimations
+      reachable.placements.sort((a, b) => b.estimation - a.estimation)
+      return {placements: reachable.placements.slice(0, count), nodeCount: reachable.nodeCount}
+    }
 
-      // console.log('y', y)
+    // We want to find the lowest appropriate cell,
+    // but we compare placements all over the world at once with an evaluator or several placements
+    const isGlobal = evaluator !== null || count > 1
+    const ys = Array.from({length: world.height}, (_, i) => world.height - 1 - i)
+    const groups = isGlobal ? [ys] : ys.map(y => [y])
+
+    for (const group of groups) {
+      // We need the coordinates of cells in these rows
+      const row = group.reduce((cells, y) => cells.concat(Array.from({length: world.width}, (_, x) => [x, y])), [])
+
+      // console.log('y', group)
 
       // We are interesting with empty cells only
       const cells = row.filter(p => world.get(p[0], p[1]) === THING.EMPTY_SPACE)
@@ -475,32 +904,189 @@ class TetrisProblemSolver {
       // console.log('untrustedStates', untrustedStates.map(fg => fg.toArray()))
 
       // But we have to validate these states. Can they be located in the world?
-      const states = this.getLocatableStatesOnly(world, untrustedStates)
+      let states = this.getLocatableStatesOnly(world, untrustedStates)
+
+      // Gravity would not let a figure hang there
+      if (isGlobal || search === SEARCH.FORWARD) {
+        states = states.filter(state => this.isResting(world, state))
+      }
 
       if (states.length === 0) {
         continue
       }
 
       // We have to order the states using domain knowledge
-      states.sort((a, b) => {
-        const estA = this.estimateLocationOfFigure(world, figure, a)
-        const estB = this.estimateLocationOfFigure(world, figure, b)
-        return estB - estA
-      })
+      const estimations = new Map(states.map(state => [state, estimate(state)]))
+      states.sort((a, b) => estimations.get(b) - estimations.get(a))
 
       // TODO: We should randomly select states with the same estimation
       for (const state of states) {
+        if (placements.length > 0 && this.isOverBudget(options, nodeCount, startedAt)) {
+          return {placements, nodeCount}
+        }
         // console.log('state', state.toArray())
 
-        const path = this.findPathFromCurrentStateToGoalState(world, state, figure)
+        const found = search === SEARCH.FORWARD
+          ? this.findPathUnderGravity(world, figure, state, {rotationSystem, softDrop, hardDrop, allowTucks, trace, strategy, weight})
+          : this.findPathFromCurrentStateToGoalState(world, state, figure, rotationSystem, {trace, strategy, weight})
+        nodeCount += found.nodeCount
+
+        if (trace) {
+          trace.onCandidate(state, estimations.get(state), found.path.length > 0)
+        }
 
-        if (path.length > 0) {
-          return path // a sequence of movements and rotations
+        if (found.path.length > 0) {
+          placements.push({state, found, estimation: estimations.get(state)})
+        }
+        if (placements.length >= count) {
+          return {placements, nodeCount}
         }
       }
     }
 
-    return []
+    return {placements, nodeCount}
+  }
+  /**
+   * Beam search over the current figure and the next ones (previews).
+   * A branch is estimated by the mean estimation of its placements
+   * @param {TetrisWorld} world
+   * @param {TetrisFigure} figure
+   * @param {Object} options See solve
+   * @param {Number} startedAt
+   * @returns {{placements: Array.<Object>, nodeCount: Number}} Placements of the current figure
+   * (estimated by their branches), the best one goes first
+   */
+  static lookahead (world, figure, options, startedAt) {
+    const {
+      previews,
+      depth = previews.length + 1,
+      beamWidth = 4,
+      nodeBudget = Infinity,
+      onProgress = null
+    } = options
+    const levels = Math.min(depth, previews.length + 1)
+    const byEstimation = (a, b) => b.estimation - a.estimation
+
+    // The current figure is always planned, otherwise there is nothing to play
+    const first = this.findPlacements(world, figure, options, beamWidth, startedAt)
+    let nodeCount = first.nodeCount
+    let beam = first.placements.map(placement => ({
+      placement,
+      world: this.getWorldAfterPlacement(world, placement.state),
+      estimation: placement.estimation,
+      count: 1
+    }))
+
+    const isOverBudget = () => this.isOverBudget(options, nodeCount, startedAt)
+    const toPlacements = branches => branches.map(b => {
+      return Object.assign({}, b.placement, {estimation: b.estimation / b.count})
+    })
+    // A trace looks at the current world only
+    const branchOptions = Object.assign({}, options, {trace: null})
+
+    for (let level = 1; level < levels; level++) {
+      const children = []
+      for (const branch of beam) {
+        if (isOverBudget()) {
+          // A level is done by halves, so we stick to the previous one
+          return {placements: toPlacements(beam), nodeCount}
+        }
+        const next = branch.world.spawn(previews[level - 1])
+        if (this.getLocatableStatesOnly(branch.world, [next]).length === 0) {
+          continue // the game is over in this branch
+        }
+        // The branches share the budget
+        const nextOptions = Object.assign({}, branchOptions, {nodeBudget: nodeBudget - nodeCount})
+        const found = this.findPlacements(branch.world, next, nextOptions, beamWidth, startedAt)
+        nodeCount += found.nodeCount
+        if (onProgress) {
+          onProgress({nodeCount, planningTime: performance.now() - startedAt})
+        }
+        for (const placement of found.placements) {
+          children.push({
+            placement: branch.placement,
+            world: this.getWorldAfterPlacement(branch.world, placement.state),
+            estimation: branch.estimation + placement.estimation,
+            count: branch.count + 1
+          })
+        }
+      }
+      if (children.length === 0) {
+        break
+      }
+      beam = children.sort(byEstimation).slice(0, beamWidth)
+    }
+
+    return {placements: toPlacements(beam.sort(byEstimation)), nodeCount}
+  }
+  /**
+   * @param {Object} options See solve
+   * @param {Number} nodeCount Count of expanded nodes so far
+   * @param {Number} startedAt When the planning has started
+   * @returns {Boolean}
+   */
+  static isOverBudget ({nodeBudget = Infinity, timeBudget = Infinity}, nodeCount, startedAt) {
+    return nodeCount >= nodeBudget || performance.now() - startedAt >= timeBudget
+  }
+  /**
+   * @param {TetrisWorld} world
+   * @param {TetrisFigure} figure
+   * @returns {TetrisWorld} A new world with a locked figure and without full rows (and without kinds of cells)
+   */
+  static getWorldAfterPlacement (world, figure) {
+    return world.place(figure, false).world
+  }
+  /**
+   * Gravity finishes the way of a figure, so the last steps down turn into a hard drop
+   * (or the figure just keeps falling when a hard drop is not allowed)
+   * @param {TetrisWorld} world
+   * @param {Array.<TetrisFigure>} path
+   * @param {Array.<Object>} actions
+   * @param {Number} nodeCount
+   * @param {Number} planningTime
+   * @param {Boolean} [hardDrop]
+   * @returns {TetrisPlan}
+   */
+  static createPlan (world, path, actions, nodeCount, planningTime, hardDrop = true) {
+    const {ACTION} = TetrisPlan
+    const fallingStates = this.fall(world, path[path.length - 1])
+    const states = path.concat(fallingStates)
+    const moves = actions.slice()
+    if (hardDrop) {
+      while (moves.length > 0 && moves[moves.length - 1].type === ACTION.DOWN) {
+        moves.pop()
+      }
+      if (moves.length === 0 || moves[moves.length - 1].type !== ACTION.HARD_DROP) {
+        moves.push({type: ACTION.HARD_DROP})
+      }
+    } else {
+      moves.push(...fallingStates.map(_ => ({type: ACTION.DOWN})))
+    }
+    return new TetrisPlan(states, moves, nodeCount, planningTime)
+  }
+  /**
+   * Moves a figure down while it can be located in the world
+   * @param {TetrisWorld} world
+   * @param {TetrisFigure} figure
+   * @returns {Array.<TetrisFigure>} States of the falling figure
+   */
+  static fall (world, figure) {
+    const states = []
+    let next = figure.clone().move([0, 1])
+    while (this.getLocatableStatesOnly(world, [next]).length > 0) {
+      states.push(next)
+      next = next.clone().move([0, 1])
+    }
+    return states
+  }
+  /**
+   * Checks if a figure cannot move down anymore
+   * @param {TetrisWorld} world
+   * @param {TetrisFigure} figure
+   * @returns {Boolean}
+   */
+  static isResting (world, figure) {
+    return this.getLocatableStatesOnly(world, [figure.clone().move([0, 1])]).length === 0
   }
   /**
    * Gets all possible permutations of a figure at certain point
@@ -526,16 +1112,9 @@ class TetrisProblemSolver {
    * @return {Array.<TetrisFigure>}
    */
   static getPermutationsOfFigureAtPoints (figure, points) {
-    const step = 4
-    const len = points.length
-    const arr = new Array(len * step)
-    for (let i = 0, k = 0; i < len; i++, k += step) {
-      const p = points[i]
-      const [a, b, c, d] = this.getPermutationsOfFigureAtPoint(figure, p)
-      arr[k] = a
-      arr[k + 1] = b
-      arr[k + 2] = c
-      arr[k + 3] = d
+    const arr = []
+    for (const p of points) {
+      arr.push(...this.getPermutationsOfFigureAtPoint(figure, p))
     }
     // Perhaps we have duplications here, so we need to exclude them
     return this.unique(arr, x => x.id)
@@ -547,7 +1126,7 @@ class TetrisProblemSolver {
    */
   static getLocatableStatesOnly (world, states) {
     return states.filter(figure => {
-      return world.inRange(figure) && world.mayLocate(figure)
+      return world.mayLocate(figure)
     })
   }
   /**
@@ -559,27 +1138,23 @@ class TetrisProblemSolver {
    */
   static estimateLocationOfFigure (world, goal, test) {
     const points = test.toArray()
-    const step = 4
     const len = points.length
-    const variants = new Array(len * step)
-    for (let i = 0, k = 0; i < len; i++, k += step) {
-      const [x, y] = points[i]
-      variants[k] = [x + 1, y]
-      variants[k + 1] = [x - 1, y]
-      variants[k + 2] = [x, y + 1]
-      variants[k + 3] = [x, y - 1]
+    // Four neighbours of every cell of a figure (of any size)
+    const variants = []
+    for (const [x, y] of points) {
+      variants.push([x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1])
     }
     const uniq = this.unique(variants, String)
     const allThings = uniq.filter(p => world.inRangePoint(p))
     const {THING} = world.constructor
-    world.locate(test)
+    // Cells of the figure count as filled ones, the world stays the same
+    const cells = new Set(points.map(String))
     const notEmptyThingsCount = allThings.reduce((sum, p) => {
-      return sum + (world.get(p[0], p[1]) !== THING.EMPTY_SPACE)
+      return sum + (world.get(p[0], p[1]) !== THING.EMPTY_SPACE || cells.has(String(p)))
     }, 0)
     const ySum = points.reduce((sum, p) => {
       return sum + p[1]
     }, 0)
-    world.dislocate(test)
     return (notEmptyThingsCount / allThings.length) + (ySum / len)
   }
   /**
@@ -611,10 +1186,17 @@ class TetrisProblemSolver {
    * @param {TetrisWorld} world
    * @param {TetrisFigure} currentState
    * @param {TetrisFigure} goalState
-   * @returns {Array.<TetrisFigure>}
+   * @param {RotationSystem} rotationSystem
+   * @param {Object} [options]
+   * @param {TetrisSearchTrace} [options.trace]
+   * @param {String} [options.strategy] One of TetrisProblemSolver.STRATEGY
+   * @param {Number} [options.weight] See graphSearch
+   * @returns {{path: Array.<TetrisFigure>, actions: Array.<Object>, nodeCount: Number}} Every rotated state remembers a kick that was used
    */
-  static findPathFromCurrentStateToGoalState (world, currentState, goalState) {
+  static findPathFromCurrentStateToGoalState (world, currentState, goalState, rotationSystem, {trace = null, strategy, weight} = {}) {
+    const {ACTION} = TetrisPlan
     const root = new GraphNode(currentState)
+    let nodeCount = 0
 
     const astarSearchOptions = {
       id (node) {
@@ -627,37 +1209,267 @@ class TetrisProblemSolver {
         return node.state.id === goalState.id
       },
       getSuccessorsOf (node) {
+        nodeCount++
         const figure = node.state
-        const untrustedStates = [
-          figure.clone().move([0, -1]), // up
-          figure.clone().move([-1, 0]), // left
-          figure.clone().move([1, 0]), // right
-          // figure.clone().move([0, 1]), // down TODO: Are we be able to make a step down?
-          // TODO: we should check an ability to rotate a figure
-          figure.clone().rotate(90)
+        // The search goes backwards, so an action leads from a successor to this node
+        // TODO: Are we be able to make a step down?
+        const moves = [
+          [[0, -1], ACTION.DOWN], // up
+          [[-1, 0], ACTION.RIGHT], // left
+          [[1, 0], ACTION.LEFT] // right
         ]
-        const states = TetrisProblemSolver.getLocatableStatesOnly(world, untrustedStates)
-        const nodes = states.map(state => {
-          return new GraphNode(state, node, node.pathCost + 1)
-        })
+        const nodes = []
+        for (const [vec, type] of moves) {
+          const state = figure.clone().move(vec)
+          if (TetrisProblemSolver.getLocatableStatesOnly(world, [state]).length > 0) {
+            nodes.push(new GraphNode(state, node, node.pathCost + 1, {type}))
+          }
+        }
+        // We are looking for the states which turn into this one
+        // after a rotation (counterclockwise or clockwise)
+        const rotations = [
+          [90, ACTION.ROTATE_CCW],
+          [270, ACTION.ROTATE_CW]
+        ]
+        for (const [degree, type] of rotations) {
+          for (const {state, kick} of rotationSystem.unrotate(world, figure, degree)) {
+            nodes.push(new GraphNode(state, node, node.pathCost + 1, {type, kick}))
+          }
+        }
         return nodes
       }
     }
 
+    if (trace) {
+      trace.onSearch(currentState)
+      Object.assign(astarSearchOptions, trace.getHooks())
+    }
+
     // Algorithm returns the goal node or null
     // when there is not a path from current node to goal node
-    const goal = astarGraphSearch(root, astarSearchOptions)
+    const goal = this.graphSearch(root, astarSearchOptions, strategy, weight)
     if (!goal) {
-      return []
+      return {path: [], actions: [], nodeCount}
     }
 
-    // Backtrace the path
+    // Backtrace the path.
+    // An action of a node leads from its state to the state of its parent
     let path = []
+    let actions = []
+    let kick = null
     for (let node = goal; node !== null; node = node.parent) {
+      const state = node.state.clone()
+      state.kick = kick
+      path.push(state)
+      if (node.action) {
+        actions.push(node.action)
+      }
+      kick = node.action && node.action.kick !== undefined ? node.action.kick : null
+    }
+
+    return {path, actions, nodeCount}
+  }
+  /**
+   * Searches forwards: a figure starts at the spawn state and goes down (as gravity wants)
+   * @param {TetrisWorld} world
+   * @param {TetrisFigure} spawnState
+   * @param {TetrisFigure} goalState A resting placement
+   * @param {Object} options
+   * @param {RotationSystem} options.rotationSystem
+   * @param {Boolean} options.softDrop
+   * @param {Boolean} options.hardDrop
+   * @param {Boolean} options.allowTucks
+   * @param {TetrisSearchTrace} [options.trace]
+   * @param {String} [options.strategy] One of TetrisProblemSolver.STRATEGY
+   * @param {Number} [options.weight] See graphSearch
+   * @returns {{path: Array.<TetrisFigure>, actions: Array.<Object>, nodeCount: Number}} Every rotated state remembers a kick that was used
+   */
+  static findPathUnderGravity (world, spawnState, goalState, {rotationSystem, softDrop, hardDrop, allowTucks, trace = null, strategy, weight}) {
+    const root = new GraphNode(spawnState)
+    const moves = this.getMovesUnderGravity(world, {rotationSystem, softDrop, hardDrop, allowTucks})
+    let nodeCount = 0
+
+    const astarSearchOptions = {
+      id: moves.id,
+      h (node) {
+        return TetrisProblemSolver.distanceManhattanBetweenFigures(node.state, goalState)
+      },
+      isGoal (node) {
+        return node.state.id === goalState.id
+      },
+      getSuccessorsOf (node) {
+        nodeCount++
+        return moves.getSuccessorsOf(node)
+      }
+    }
+
+    if (trace) {
+      trace.onSearch(goalState)
+      Object.assign(astarSearchOptions, trace.getHooks())
+    }
+
+    const goal = this.graphSearch(root, astarSearchOptions, strategy, weight)
+    if (!goal) {
+      return {path: [], actions: [], nodeCount}
+    }
+    return Object.assign(this.backtraceUnderGravity(world, goal), {nodeCount})
+  }
+  /**
+   * Lists every placement which a figure can reach from the spawn state in one breadth-first search.
+   * Placements with the same cells count once (e.g. the S in two orientations), the shortest path wins
+   * @param {TetrisWorld} world
+   * @param {TetrisFigure} spawnState
+   * @param {Object} options See findPathUnderGravity (the search is always breadth-first)
+   * and options.nodeBudget and options.timeBudget of solve: the search stops with the placements found so far
+   * (it goes on until it has found one)
+   * @param {Number} [startedAt] When the planning has started (for options.timeBudget)
+   * @returns {{placements: Array.<{state: TetrisFigure, found: Object}>, nodeCount: Number}} Placements
+   * in order of the lengths of their paths, found is the same as of findPathUnderGravity
+   */
+  static findReachablePlacements (world, spawnState, {rotationSystem, softDrop, hardDrop, allowTucks, trace = null, nodeBudget, timeBudget}, startedAt = performance.now()) {
+    const moves = this.getMovesUnderGravity(world, {rotationSystem, softDrop, hardDrop, allowTucks})
+    // Visited nodes are checked for a placement once the budget is over
+    let hasPlacement = false
+    let checked = 0
+    const isStopped = nodes => {
+      if (!this.isOverBudget({nodeBudget, timeBudget}, nodes.length, startedAt)) {
+        return false
+      }
+      for (; !hasPlacement && checked < nodes.length; checked++) {
+        hasPlacement = this.isResting(world, nodes[checked].state)
+      }
+      return hasPlacement
+    }
+    const options = Object.assign({isStopped}, moves)
+    if (trace) {
+      trace.onSearch(null)
+      Object.assign(options, trace.getHooks())
+    }
+
+    const nodes = breadthFirstGraphTraversal(new GraphNode(spawnState), options)
+    const nodeCount = nodes.length
+
+    const placements = new Map()
+    for (const node of nodes) {
+      const {state} = node
+      // Nodes go in order of their path costs, so the first one with these cells has got the shortest path
+      const key = state.toArray().map(String).sort().join(' ')
+      if (!placements.has(key) && this.isResting(world, state)) {
+        const found = Object.assign(this.backtraceUnderGravity(world, node), {nodeCount})
+        placements.set(key, {state, found})
+      }
+    }
+
+    return {placements: [...placements.values()], nodeCount}
+  }
+  /**
+   * Moves of a falling figure for the searches from the spawn state
+   * @param {TetrisWorld} world
+   * @param {Object} options See findPathUnderGravity
+   * @returns {{id: Function, getSuccessorsOf: Function}}
+   */
+  static getMovesUnderGravity (world, {rotationSystem, softDrop, hardDrop, allowTucks}) {
+    const {ACTION} = TetrisPlan
+    const hasDropped = node => node.action !== null && node.action.type === ACTION.DOWN
+    const hasLocked = node => node.action !== null && node.action.type === ACTION.HARD_DROP
+
+    return {
+      id (node) {
+        // A figure which must keep falling differs from a free one in the same cells
+        const mark = hasLocked(node) ? 'locked' : (!allowTucks && hasDropped(node) ? 'dropped' : '')
+        return `${node.state.id}:${node.state.orientation}:${mark}`
+      },
+      getSuccessorsOf (node) {
+        const figure = node.state
+        const nodes = []
+        const push = (state, action) => {
+          if (TetrisProblemSolver.getLocatableStatesOnly(world, [state]).length > 0) {
+            nodes.push(new GraphNode(state, node, node.pathCost + 1, action))
+          }
+        }
+
+        if (hasLocked(node)) {
+          return nodes
+        }
+
+        // Without tucks and spins a figure cannot move aside after it has moved down
+        if (allowTucks || !hasDropped(node)) {
+          push(figure.clone().move([-1, 0]), {type: ACTION.LEFT})
+          push(figure.clone().move([1, 0]), {type: ACTION.RIGHT})
+          const rotations = [
+            [90, ACTION.ROTATE_CCW],
+            [270, ACTION.ROTATE_CW]
+          ]
+          for (const [degree, type] of rotations) {
+            const state = rotationSystem.rotate(world, figure, degree)
+            if (state) {
+              push(state, {type, kick: state.kick})
+            }
+          }
+        }
+
+        if (softDrop) {
+          push(figure.clone().move([0, 1]), {type: ACTION.DOWN})
+        }
+
+        if (hardDrop) {
+          const fallingStates = TetrisProblemSolver.fall(world, figure)
+          if (fallingStates.length > 0) {
+            push(fallingStates[fallingStates.length - 1], {type: ACTION.HARD_DROP})
+          }
+        }
+
+        return nodes
+      }
+    }
+  }
+  /**
+   * @param {TetrisWorld} world
+   * @param {GraphNode} goal A node of a search from the spawn state
+   * @returns {{path: Array.<TetrisFigure>, actions: Array.<Object>}} A hard drop gets its falling states back
+   */
+  static backtraceUnderGravity (world, goal) {
+    const {ACTION} = TetrisPlan
+    const path = []
+    const actions = []
+    let node = goal
+    for (; node.parent !== null; node = node.parent) {
       path.push(node.state)
+      actions.push(node.action)
+      if (node.action.type === ACTION.HARD_DROP) {
+        path.push(...TetrisProblemSolver.fall(world, node.parent.state).slice(0, -1).reverse())
+      }
     }
+    path.push(node.state)
 
-    return path
+    return {path: path.reverse(), actions: actions.reverse()}
+  }
+  /**
+   * Runs one of the search algorithms, they share the same options
+   * @param {GraphNode} root
+   * @param {Object} options {id, h, isGoal, getSuccessorsOf} and hooks (see bestFirstGraphSearch)
+   * @param {String} [strategy] One of TetrisProblemSolver.STRATEGY
+   * @param {Number} [weight] A weight of the heuristic for weighted A*
+   * @returns {GraphNode|null}
+   */
+  static graphSearch (root, options, strategy = this.STRATEGY.ASTAR, weight = 2) {
+    const {STRATEGY} = this
+    switch (strategy) {
+      case STRATEGY.ASTAR:
+        return astarGraphSearch(root, options)
+      case STRATEGY.WEIGHTED_ASTAR:
+        return weightedAstarGraphSearch(root, Object.assign({}, options, {weight}))
+      case STRATEGY.GREEDY:
+        return greedyBestFirstGraphSearch(root, options)
+      case STRATEGY.UNIFORM_COST:
+        return uniformCostSearch(root, options)
+      case STRATEGY.BFS:
+        return breadthFirstGraphSearch(root, options)
+      case STRATEGY.IDA_STAR:
+        return iterativeDeepeningAstarSearch(root, options)
+      default:
+        throw new Error('Unknown search strategy')
+    }
   }
   /**
    * @param {Array.<*>} items
@@ -673,61 +1485,22 @@ class TetrisProblemSolver {
   }
 }
 
-// -----------------------------------
-
-const world = new TetrisWorld(Matrix.zeros(20, 10))
-
-// Sampling of walls
-world.sample(-1, 11)
-
-// Getting random kind of figure
-const kinds = Object.keys(TetrisFigure.KIND)
-const randomKind = getRandomIntInclusive(0, kinds.length - 1)
-
-// Setting random X coordinate of that figure
-const figure = TetrisFigure.factory(kinds[randomKind])
-const [bPointA, bPointB] = figure.getBounds()
-const minX = bPointA[0]
-const maxX = (world.width - 1) - bPointB[0]
-const randomX = getRandomIntInclusive(minX, maxX)
-figure.move([randomX, 0])
-// figure.rotate(90)
-// figure.translate([3, 4])
-
-const rootHtmlElement = document.getElementById('root')
-
-console.time('planning time')
-const sequence = TetrisProblemSolver.solve(world, figure)
-console.timeEnd('planning time')
-
-// Visualize the sequence
-console.log('sequence', sequence)
-
-// for (let i = 0; i < sequence.length; i++) {
-//   const state = sequence[i]
-//   const comment = String(i + 1)
-//   world.locate(state)
-//   rootHtmlElement.appendChild(world.renderToHtmlElement(comment))
-//   world.dislocate(state)
-// }
-
-function renderNextState (seq, i) {
-  if (i >= seq.length) {
-    return
-  }
-  const prevState = seq[i - 1]
-  if (prevState) {
-    world.dislocate(prevState)
-  }
-  const state = seq[i]
-  const comment = String(i + 1)
-  world.locate(state)
-  rootHtmlElement.replaceChild(
-    world.renderToHtmlElement(`#${comment} state`),
-    rootHtmlElement.firstChild
-  )
-
-  setTimeout(_ => renderNextState(seq, i + 1), 500)
+TetrisProblemSolver.SEARCH = {
+  'BACKWARD': 'backward', // from candidate placements up to the spawn state
+  'FORWARD': 'forward', // from the spawn state down to candidate placements
+  'REACHABLE': 'reachable' // one search from the spawn state down to every placement
+}
+
+TetrisProblemSolver.STRATEGY = {
+  'ASTAR': 'astar',
+  'WEIGHTED_ASTAR': 'weighted-astar', // faster, a path may be longer
+  'GREEDY': 'greedy', // the heuristic only
+  'UNIFORM_COST': 'uniform-cost', // the path cost only
+  'BFS': 'bfs',
+  'IDA_STAR': 'ida-star' // little memory, many repeated expansions
 }
 
-renderNextState(sequence, 0)
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {Figure, TetrisFigure, TetrisWorld, TetrisPlan, TetrisProblemSolver}
+}
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/*
+  A scripted frontend of the Tetris Bot Protocol: it starts a bot, plays a seeded game
+  with it on an empty board and checks every move the bot suggests
+
+    node tbp-frontend.js --seed 42 --count 100
+    node tbp-frontend.js --bot "node tbp.js --preview 2 --time-budget 50" --verbose
+ */
+
+const {spawn} = require('child_process')
+const readline = require('readline')
+const {Random, Randomizer, TetrisFigure} = require('./index')
+const {parseArgs} = require('./cli')
+const {TetrisTbpPosition, TetrisTbpBot} = require('./tbp')
+
+const USAGE = `Usage: node tbp-frontend.js [options]
+
+Options:
+  --bot <command>       A command which starts a bot ("node tbp.js" by default)
+  --seed <number>       Makes the pieces reproducible
+  --count <number>      Count of pieces to play (100 by default)
+  --queue <number>      Count of the next pieces which the bot sees (5 by default)
+  --verbose             Prints the board after every move
+  --help                Shows this message
+`
+
+const FLAGS = ['verbose', 'help']
+
+/**
+ * @param {TetrisTbpPosition} position
+ * @returns {String} Rows from the top of the stack (at least 20) down, "." is empty
+ */
+function formatBoard ({board}) {
+  let top = board.length
+  while (top > 20 && !board[top - 1].some(cell => cell !== null)) {
+    top--
+  }
+  return board.slice(0, top).reverse().map(row => row.map(cell => cell === null ? '.' : cell).join('')).join('\n')
+}
+
+/**
+ * @param {Array.<String>} argv
+ */
+function main (argv) {
+  const {MESSAGE} = TetrisTbpBot
+  const args = parseArgs(argv, FLAGS)
+  if (args.help) {
+    process.stdout.write(USAGE)
+    return
+  }
+
+  const count = args.count === undefined ? 100 : Number(args.count)
+  const queueSize = args.queue === undefined ? 5 : Number(args.queue)
+  const random = new Random(args.seed === undefined ? undefined : Number(args.seed))
+  const randomizer = Randomizer.factory(Randomizer.TYPE.BAG, random, TetrisFigure.getKinds())
+  const position = new TetrisTbpPosition({queue: Array.from({length: queueSize + 1}, _ => randomizer.next())})
+  let pieces = 0
+  let lines = 0
+  let thinkingTime = 0
+  let askedAt = 0
+
+  const bot = spawn(args.bot || 'node tbp.js', {shell: true, stdio: ['pipe', 'pipe', 'inherit']})
+  const send = message => bot.stdin.write(JSON.stringify(message) + '\n')
+  const suggest = _ => {
+    askedAt = Date.now()
+    send({type: MESSAGE.SUGGEST})
+  }
+  const finish = reason => {
+    console.log('')
+    console.log(`seed: ${random.seed}, pieces: ${pieces}, lines: ${lines}, ` +
+      `thinking time: ${(thinkingTime / Math.max(pieces, 1)).toFixed(1)}ms per piece` + (reason ? `, ${reason}` : ''))
+    send({type: MESSAGE.QUIT})
+    bot.stdin.end()
+    messages.close()
+  }
+
+  // The frontend goes on when the bot answers
+  const messages = readline.createInterface({input: bot.stdout})
+  messages.on('line', line => {
+    const message = JSON.parse(line)
+    switch (message.type) {
+      case MESSAGE.INFO:
+        console.log(`bot: ${message.name} ${message.version} by ${message.author}`)
+        send({type: MESSAGE.RULES})
+        break
+      case MESSAGE.READY:
+        send({type: MESSAGE.START, board: position.board, queue: position.queue, hold: position.hold, combo: 0, back_to_back: false})
+        suggest()
+        break
+      case MESSAGE.ERROR:
+        finish(`error: ${message.reason}`)
+        process.exitCode = 1
+        break
+      case MESSAGE.SUGGESTION: {
+        thinkingTime += Date.now() - askedAt
+        const [move] = message.moves
+        if (!move) {
+          finish('the bot has given up')
+          break
+        }
+        try {
+          lines += position.play(move)
+        } catch (err) {
+          finish(`wrong move: ${err.message}`)
+          process.exitCode = 1
+          break
+        }
+        pieces++
+        const {type, orientation, x, y} = move.location
+        console.log(`#${pieces} ${type}: ${orientation} at ${x}, ${y}` + (move.spin !== TetrisTbpBot.SPIN.NONE ? ` (${move.spin} spin)` : '') +
+          `, lines: ${lines}`)
+        if (args.verbose) {
+          console.log(formatBoard(position))
+        }
+        send({type: MESSAGE.PLAY, move})
+        if (pieces >= count) {
+          finish()
+          break
+        }
+        const piece = randomizer.next()
+        position.queue.push(piece)
+        send({type: MESSAGE.NEW_PIECE, piece})
+        suggest()
+        break
+      }
+      default:
+        break
+    }
+  })
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2))
+  } catch (err) {
+    console.error(err.message)
+    console.error(USAGE)
+    process.exitCode = 1
+  }
+}
@@ -0,0 +1,391 @@
+#!/usr/bin/env node
+/*
+  A bot of the Tetris Bot Protocol (TBP): it reads messages of a frontend from stdin
+  and writes its own to stdout, a JSON object per line
+
+    node tbp.js --preview 1
+    node tbp-frontend.js --bot "node tbp.js --preview 2" --seed 42
+
+  @see https://github.com/tetris-bot-protocol/tbp-spec
+ */
+
+const readline = require('readline')
+const fs = require('fs')
+const {TetrisGame, TetrisWorld, TetrisProblemSolver} = require('./index')
+const {parseArgs} = require('./cli')
+const {name, version} = require('./package.json')
+
+const USAGE = `Usage: node tbp.js [options]
+
+Options:
+  --preview <number>    Count of the next pieces of the queue which the agent looks at (1 by default)
+  --search <type>       backward (default), forward or reachable
+  --strategy <type>     astar (default), weighted-astar, greedy, uniform-cost, bfs or ida-star
+  --time-budget <ms>    The agent suggests the best move so far after that time of planning
+  --weights <file>      A config of the evaluator, e.g. {"weights": {"holes": -7.9}}
+  --help                Shows this message
+`
+
+const FLAGS = ['help']
+
+/**
+ * A position of TBP: a board of 40 rows of 10 cells from the bottom up (null is empty,
+ * a kind of a piece or "G" for garbage), the queue with the current piece first and the hold slot.
+ * Cells of a piece are given by its location: the center of the piece (as in SRS), x goes right and y goes up
+ */
+class TetrisTbpPosition {
+  /**
+   * @param {Object} position
+   * @param {Array.<Array.<(String|null)>>} [position.board] An empty board by default
+   * @param {Array.<String>} [position.queue]
+   * @param {String|null} [position.hold]
+   */
+  constructor ({board = null, queue = [], hold = null} = {}) {
+    const {HEIGHT, WIDTH} = this.constructor
+    this.board = board ? board.map(row => row.slice()) : Array.from({length: HEIGHT}, _ => new Array(WIDTH).fill(null))
+    this.queue = queue.slice()
+    this.hold = hold
+  }
+  /**
+   * @param {Number} x
+   * @param {Number} y
+   * @returns {Boolean}
+   */
+  isEmpty (x, y) {
+    return y >= 0 && y < this.board.length && x >= 0 && x < this.board[y].length && this.board[y][x] === null
+  }
+  /**
+   * Places a piece, takes it from the queue (or the hold slot) and clears full rows
+   * @param {{location: Object, spin: String}} move
+   * @returns {Number} Count of cleared rows
+   */
+  play ({location}) {
+    const {WIDTH} = this.constructor
+    const {type} = location
+    const cells = this.constructor.getCells(location)
+    if (cells.some(([x, y]) => !this.isEmpty(x, y))) {
+      throw new Error(`The ${type} piece does not fit the board at ${JSON.stringify(location)}`)
+    }
+    const isOwn = (x, y) => cells.some(([cx, cy]) => cx === x && cy === y)
+    if (!cells.some(([x, y]) => !isOwn(x, y - 1) && !this.isEmpty(x, y - 1))) {
+      throw new Error(`The ${type} piece does not rest on the stack at ${JSON.stringify(location)}`)
+    }
+
+    // The current piece, the piece from the hold slot or the next one after the current piece has gone to the empty slot
+    if (this.queue[0] === type) {
+      this.queue.shift()
+    } else if (this.hold === type) {
+      this.hold = this.queue.shift()
+    } else if (this.hold === null && this.queue[1] === type) {
+      this.hold = this.queue.shift()
+      this.queue.shift()
+    } else {
+      throw new Error(`The ${type} piece is neither the current one nor in the hold slot`)
+    }
+
+    for (const [x, y] of cells) {
+      this.board[y][x] = type
+    }
+    const rest = this.board.filter(row => row.includes(null))
+    const count = this.board.length - rest.length
+    this.board = rest.concat(Array.from({length: count}, _ => new Array(WIDTH).fill(null)))
+    return count
+  }
+  /**
+   * The lower part of the board as a world (y goes down there): the stack and the rows above it where pieces spawn
+   * @returns {TetrisWorld}
+   */
+  toWorld () {
+    const {THING} = TetrisWorld
+    const {SPAWN_HEIGHT} = this.constructor
+    let top = this.board.length
+    while (top > 0 && !this.board[top - 1].some(cell => cell !== null)) {
+      top--
+    }
+    const height = Math.min(this.board.length, Math.max(SPAWN_HEIGHT, top + 2))
+    const rows = this.board.slice(0, height).reverse()
+    return new TetrisWorld(
+      rows.map(row => row.map(cell => cell === null ? THING.EMPTY_SPACE : THING.WALL)),
+      rows.map(row => row.map(cell => cell === null || cell === 'G' ? null : cell))
+    )
+  }
+  /**
+   * The location of a figure of the world (see toWorld)
+   * @param {TetrisWorld} world
+   * @param {TetrisFigure} figure
+   * @returns {{type: String, orientation: String, x: Number, y: Number}}
+   */
+  static getLocation (world, figure) {
+    const {ORIENTATION} = this
+    const cells = figure.toArray().map(([x, y]) => [x, world.height - 1 - y])
+    const key = cells => cells.map(String).sort().join(' ')
+    const expected = key(cells)
+    // The O has the same cells in every orientation, so its own orientation goes first
+    const orientations = [0, 1, 2, 3].sort((a, b) => (b === figure.orientation) - (a === figure.orientation))
+    for (const orientation of orientations) {
+      const [[dx, dy]] = this.getOffsets(figure.kind, orientation)
+      for (const [x, y] of cells) {
+        const location = {type: figure.kind, orientation: ORIENTATION[orientation], x: x - dx, y: y - dy}
+        if (key(this.getCells(location)) === expected) {
+          return location
+        }
+      }
+    }
+    throw new Error(`The ${figure.kind} piece has no location in TBP`)
+  }
+  /**
+   * @param {{type: String, orientation: String, x: Number, y: Number}} location
+   * @returns {Array.<Array.<Number>>} Cells (x, y) of the board
+   */
+  static getCells ({type, orientation, x, y}) {
+    const index = this.ORIENTATION.indexOf(orientation)
+    if (index < 0) {
+      throw new Error(`Unknown orientation "${orientation}"`)
+    }
+    return this.getOffsets(type, index).map(([dx, dy]) => [x + dx, y + dy])
+  }
+  /**
+   * @param {String} type
+   * @param {Number} orientation 0 (north) to 3 (west), clockwise
+   * @returns {Array.<Array.<Number>>} Cells relative to the center
+   */
+  static getOffsets (type, orientation) {
+    const offsets = this.CELLS[type]
+    if (!offsets) {
+      throw new Error(`Unknown piece "${type}"`)
+    }
+    return offsets.map(([dx, dy]) => {
+      for (let i = 0; i < orientation; i++) {
+        [dx, dy] = [dy, -dx]
+      }
+      return [dx, dy]
+    })
+  }
+}
+
+TetrisTbpPosition.WIDTH = 10
+
+TetrisTbpPosition.HEIGHT = 40
+
+// 20 visible rows and 2 rows above them where pieces spawn
+TetrisTbpPosition.SPAWN_HEIGHT = 22
+
+TetrisTbpPosition.ORIENTATION = ['north', 'east', 'south', 'west']
+
+// Cells of pieces in the north orientation relative to their centers
+TetrisTbpPosition.CELLS = {
+  'I': [[-1, 0], [0, 0], [1, 0], [2, 0]],
+  'O': [[0, 0], [1, 0], [0, 1], [1, 1]],
+  'T': [[-1, 0], [0, 0], [1, 0], [0, 1]],
+  'L': [[-1, 0], [0, 0], [1, 0], [1, 1]],
+  'J': [[-1, 0], [0, 0], [1, 0], [-1, 1]],
+  'S': [[-1, 0], [0, 0], [0, 1], [1, 1]],
+  'Z': [[-1, 1], [0, 1], [0, 0], [1, 0]]
+}
+
+/**
+ * Answers messages of a frontend with plans of the solver (see TetrisTbpBot.MESSAGE)
+ */
+class TetrisTbpBot {
+  /**
+   * @param {Object} [config] A config of the agent (see TetrisGame.fromConfig)
+   */
+  constructor (config = {}) {
+    // The game makes the same options of the solver as any other game does
+    this.options = TetrisGame.fromConfig(config).options
+    this.position = null
+  }
+  /**
+   * @returns {Object} The first message of the bot
+   */
+  getInfo () {
+    const {MESSAGE} = this.constructor
+    return {type: MESSAGE.INFO, name, version, author: 'tetris-problem contributors', features: []}
+  }
+  /**
+   * @param {Object} message A message of the frontend
+   * @returns {Array.<Object>} Messages of the bot
+   */
+  handle (message) {
+    const {MESSAGE} = this.constructor
+    switch (message.type) {
+      case MESSAGE.RULES:
+        return [{type: MESSAGE.READY}]
+      case MESSAGE.START:
+        this.position = new TetrisTbpPosition(message)
+        return []
+      case MESSAGE.SUGGEST:
+        return [this.suggest()]
+      case MESSAGE.PLAY:
+        this.getPosition().play(message.move)
+        return []
+      case MESSAGE.NEW_PIECE:
+        this.getPosition().queue.push(message.piece)
+        return []
+      case MESSAGE.STOP:
+      case MESSAGE.QUIT:
+        this.position = null
+        return []
+      default:
+        // Frontends may send messages of newer versions of the protocol, bots ignore unknown ones
+        return []
+    }
+  }
+  /**
+   * @returns {TetrisTbpPosition}
+   */
+  getPosition () {
+    if (!this.position) {
+      throw new Error('The game has not started')
+    }
+    return this.position
+  }
+  /**
+   * Plans the current piece (the hold slot and the next pieces count too)
+   * @returns {Object} A suggestion without moves when the piece cannot be placed
+   */
+  suggest () {
+    const {MESSAGE} = this.constructor
+    const {queue, hold} = this.getPosition()
+    const {previewSize} = this.options
+    const world = this.position.toWorld()
+    const suggestion = {type: MESSAGE.SUGGESTION, moves: []}
+    if (queue.length === 0) {
+      return suggestion
+    }
+    const figure = world.spawn(queue[0])
+    const plan = TetrisProblemSolver.solve(world, figure, Object.assign({}, this.options, {
+      previews: queue.slice(1, 1 + previewSize),
+      hold,
+      canHold: true
+    }))
+    if (plan.placement) {
+      suggestion.moves.push({
+        location: TetrisTbpPosition.getLocation(world, plan.placement),
+        spin: this.constructor.getSpin(world, plan)
+      })
+    }
+    suggestion.move_info = {nodes: plan.nodeCount, nps: plan.nodeCount / Math.max(plan.planningTime, 1) * 1000}
+    return suggestion
+  }
+  /**
+   * Only the T spins: the last movement is a rotation and 3 corners of the T are filled,
+   * a mini one has an empty corner in front (at the flat side of the T)
+   * @param {TetrisWorld} world
+   * @param {TetrisPlan} plan
+   * @returns {String} One of TetrisTbpBot.SPIN
+   */
+  static getSpin (world, {states, placement}) {
+    const {SPIN, FRONT_CORNERS} = this
+    const previous = states[states.length - 2]
+    if (placement.kind !== 'T' || !previous || previous.orientation === placement.orientation) {
+      return SPIN.NONE
+    }
+    const [x, y] = placement.pivot
+    const isFilled = ([dx, dy]) => {
+      const point = [x + dx, y + dy]
+      return !world.inRangePoint(point) || world.get(...point) !== TetrisWorld.THING.EMPTY_SPACE
+    }
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].filter(isFilled).length
+    if (corners < 3) {
+      return SPIN.NONE
+    }
+    return FRONT_CORNERS[placement.orientation].every(isFilled) ? SPIN.FULL : SPIN.MINI
+  }
+}
+
+TetrisTbpBot.MESSAGE = {
+  // of the frontend
+  'RULES': 'rules',
+  'START': 'start',
+  'STOP': 'stop',
+  'SUGGEST': 'suggest',
+  'PLAY': 'play',
+  'NEW_PIECE': 'new_piece',
+  'QUIT': 'quit',
+  // of the bot
+  'INFO': 'info',
+  'READY': 'ready',
+  'ERROR': 'error',
+  'SUGGESTION': 'suggestion'
+}
+
+TetrisTbpBot.SPIN = {
+  'NONE': 'none',
+  'MINI': 'mini',
+  'FULL': 'full'
+}
+
+// Corners next to the pointed side of the T by orientations (y goes down)
+TetrisTbpBot.FRONT_CORNERS = [
+  [[-1, -1], [1, -1]],
+  [[1, -1], [1, 1]],
+  [[-1, 1], [1, 1]],
+  [[-1, -1], [-1, 1]]
+]
+
+/**
+ * @param {Object} args
+ * @returns {Object} A config of the agent (see TetrisGame.fromConfig)
+ */
+function createConfig (args) {
+  const config = {
+    preview: args.preview === undefined ? 1 : Number(args.preview),
+    search: args.search,
+    strategy: args.strategy,
+    timeBudget: args['time-budget'] === undefined ? undefined : Number(args['time-budget']),
+    evaluator: args.weights && JSON.parse(fs.readFileSync(args.weights, 'utf8'))
+  }
+  for (const key of Object.keys(config)) {
+    if (config[key] === undefined) {
+      delete config[key]
+    }
+  }
+  return config
+}
+
+/**
+ * @param {Array.<String>} argv
+ */
+function main (argv) {
+  const {MESSAGE} = TetrisTbpBot
+  const args = parseArgs(argv, FLAGS)
+  if (args.help) {
+    process.stdout.write(USAGE)
+    return
+  }
+
+  const bot = new TetrisTbpBot(createConfig(args))
+  const send = message => process.stdout.write(JSON.stringify(message) + '\n')
+  send(bot.getInfo())
+
+  // A wrong message does not stop the bot, the frontend may go on
+  const lines = readline.createInterface({input: process.stdin})
+  lines.on('line', line => {
+    if (line.trim() === '') {
+      return
+    }
+    try {
+      const message = JSON.parse(line)
+      bot.handle(message).forEach(send)
+      if (message.type === MESSAGE.QUIT) {
+        lines.close()
+      }
+    } catch (err) {
+      console.error(err.message)
+    }
+  })
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2))
+  } catch (err) {
+    console.error(err.message)
+    console.error(USAGE)
+    process.exitCode = 1
+  }
+} else {
+  // The scripted frontend shares the positions (see tbp-frontend.js)
+  module.exports = {TetrisTbpPosition, TetrisTbpBot}
+}
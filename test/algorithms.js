@@ -0,0 +1,183 @@
+/*
+  Checks of the search structures and algorithms which are easy to break and hard to notice
+
+    npm test
+ */
+
+const assert = require('assert')
+const {
+  PriorityQueue,
+  GraphNode,
+  Random,
+  breadthFirstGraphSearch,
+  breadthFirstGraphTraversal,
+  iterativeDeepeningAstarSearch,
+  TetrisWorld,
+  TetrisPlan,
+  TetrisProblemSolver,
+  TetrisEvaluator,
+  RotationSystem
+} = require('../index')
+const {check} = require('./check')
+
+/**
+ * A grid problem: a state is a cell "x,y", moves go to the neighbour cells which are not walls
+ * @param {Array.<String>} rows "#" is a wall, "S" is the start and "G" is the goal
+ * @param {Number} [maxExpansions] A search which expands more is stuck
+ * @returns {{root: GraphNode, options: Object}} Options of the searches (see astarGraphSearch)
+ */
+function createGridProblem (rows, maxExpansions = 100000) {
+  const find = char => {
+    const y = rows.findIndex(row => row.includes(char))
+    return [rows[y].indexOf(char), y]
+  }
+  const [gx, gy] = find('G')
+  let expansions = 0
+  const options = {
+    id: node => String(node.state),
+    h: node => Math.abs(node.state[0] - gx) + Math.abs(node.state[1] - gy),
+    isGoal: node => node.state[0] === gx && node.state[1] === gy,
+    getSuccessorsOf (node) {
+      if (++expansions > maxExpansions) {
+        throw new Error('The search does not stop')
+      }
+      const [x, y] = node.state
+      return [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]
+        .filter(([x, y]) => y >= 0 && y < rows.length && x >= 0 && x < rows[y].length && rows[y][x] !== '#')
+        .map(state => new GraphNode(state, node, node.pathCost + 1))
+    }
+  }
+  return {root: new GraphNode(find('S')), options}
+}
+
+check('PriorityQueue pops items in the order of their costs after decrease-keys and removals', _ => {
+  const random = new Random(1)
+  for (let round = 0; round < 50; round++) {
+    const queue = new PriorityQueue(item => item.id, item => item.cost)
+    const costs = new Map() // the baseline: the last cost by ids
+    for (let i = 0; i < 200; i++) {
+      const id = random.nextInt(0, 99)
+      const prevCost = costs.has(id) ? costs.get(id) : Infinity
+      const cost = random.nextInt(0, prevCost === Infinity ? 999 : prevCost) // the same or a lower cost
+      if (costs.has(id) && random.next() < 0.5) {
+        queue.update({id, cost})
+      } else {
+        queue.append({id, cost}) // an item with the same id replaces the previous one
+      }
+      costs.set(id, cost)
+      if (random.next() < 0.05) {
+        queue.remove({id})
+        costs.delete(id)
+      }
+    }
+    assert.strictEqual(queue.length(), costs.size)
+    for (const id of costs.keys()) {
+      assert.strictEqual(queue.get({id}).cost, costs.get(id))
+    }
+    const popped = []
+    while (queue.length()) {
+      popped.push(queue.pop().cost)
+    }
+    assert.deepStrictEqual(popped, [...costs.values()].sort((a, b) => a - b))
+  }
+})
+
+check('iterativeDeepeningAstarSearch finds a shortest path and fails on a closed-off goal', _ => {
+  const open = createGridProblem([
+    'S.........',
+    '.########.',
+    '.#......#.',
+    '.#.####.#.',
+    '.#.#G.#.#.',
+    '.#.#.##.#.',
+    '.#......#.',
+    '.######.#.',
+    '..........'
+  ])
+  const found = iterativeDeepeningAstarSearch(open.root, open.options)
+  assert.ok(found !== null)
+  assert.strictEqual(found.pathCost, breadthFirstGraphSearch(open.root, open.options).pathCost)
+
+  const closed = createGridProblem([
+    'S.........',
+    '.########.',
+    '.#......#.',
+    '.#.####.#.',
+    '.#.#G.#.#.',
+    '.#.####.#.',
+    '.#......#.',
+    '.########.',
+    '..........'
+  ])
+  assert.strictEqual(iterativeDeepeningAstarSearch(closed.root, closed.options), null)
+})
+
+check('breadthFirstGraphTraversal visits every reachable state once in the order of path costs', _ => {
+  const rows = [
+    'S.........',
+    '.########.',
+    '.#......#.',
+    '.#.####.#.',
+    '.#.#G.#.#.',
+    '.#.####.#.',
+    '.#......#.',
+    '.########.',
+    '..........'
+  ]
+  const {root, options} = createGridProblem(rows)
+  const nodes = breadthFirstGraphTraversal(root, options)
+  const ids = nodes.map(options.id)
+  assert.strictEqual(new Set(ids).size, ids.length)
+  // The ring of cells outside of the walls (10 + 10 + 7 + 7)
+  assert.strictEqual(ids.length, 34)
+  nodes.forEach((node, i) => assert.ok(i === 0 || nodes[i - 1].pathCost <= node.pathCost))
+})
+
+check('findReachablePlacements finds every placement of an empty world once', _ => {
+  const world = new TetrisWorld(Array.from({length: 20}, _ => new Array(10).fill(TetrisWorld.THING.EMPTY_SPACE)))
+  const rotationSystem = RotationSystem.factory(RotationSystem.TYPE.SRS)
+  const key = figure => figure.toArray().map(String).sort().join(' ')
+  for (const kind of ['I', 'O', 'T', 'S', 'Z', 'J', 'L']) {
+    const spawnState = world.spawn(kind)
+    const {placements} = TetrisProblemSolver.findReachablePlacements(world, spawnState, {
+      rotationSystem,
+      softDrop: true,
+      hardDrop: true,
+      allowTucks: true
+    })
+    const keys = placements.map(({state}) => key(state))
+    assert.strictEqual(new Set(keys).size, keys.length, `${kind}: a placement is found twice`)
+
+    // Every resting state of every orientation may be reached in an empty world
+    const expected = new Set()
+    let figure = spawnState
+    for (let orientation = 0; orientation < 4; orientation++) {
+      for (let dy = -world.height; dy <= world.height; dy++) {
+        for (let dx = -world.width; dx <= world.width; dx++) {
+          const state = figure.clone().move([dx, dy])
+          if (world.mayLocate(state) && TetrisProblemSolver.isResting(world, state)) {
+            expected.add(key(state))
+          }
+        }
+      }
+      figure = figure.clone().rotate(270)
+    }
+    assert.deepStrictEqual(keys.sort(), [...expected].sort(), `${kind}: placements differ`)
+  }
+})
+
+check('TetrisProblemSolver compares the hold variants by the same count of figures', _ => {
+  const rotationSystem = RotationSystem.factory(RotationSystem.TYPE.SRS)
+  const evaluator = new TetrisEvaluator()
+  const best = (world, kind) => TetrisProblemSolver.findPlacements(world, world.spawn(kind), {rotationSystem, evaluator}, 1).placements[0]
+  for (let seed = 1; seed <= 20; seed++) {
+    const random = new Random(seed)
+    const world = new TetrisWorld(Array.from({length: 20}, _ => new Array(10).fill(TetrisWorld.THING.EMPTY_SPACE)))
+    world.sample(-1, 11, random)
+    const [kind, next] = [random.nextInt(0, 6), random.nextInt(0, 6)].map(i => ['I', 'O', 'T', 'S', 'Z', 'J', 'L'][i])
+    // The empty slot leaves no preview for the next figure, so both variants are single placements
+    const plan = TetrisProblemSolver.solve(world, world.spawn(kind), {rotationSystem, evaluator, previews: [next], canHold: true})
+    const isHold = plan.actions.length > 0 && plan.actions[0].type === TetrisPlan.ACTION.HOLD
+    assert.strictEqual(isHold, best(world, next).estimation > best(world, kind).estimation, `seed ${seed}: ${kind}, ${next}`)
+  }
+})
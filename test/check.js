@@ -0,0 +1,21 @@
+/*
+  The runner of checks which every file of tests uses
+ */
+
+/**
+ * Runs a check and reports it, a failed check sets the exit code
+ * @param {String} name
+ * @param {Function} fn It may return a promise, the check waits for it then
+ * @returns {Promise}
+ */
+function check (name, fn) {
+  return new Promise(resolve => resolve(fn())).then(_ => {
+    console.log(`ok ${name}`)
+  }, err => {
+    console.log(`not ok ${name}`)
+    console.log(err.stack)
+    process.exitCode = 1
+  })
+}
+
+module.exports = {check}
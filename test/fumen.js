@@ -0,0 +1,44 @@
+/*
+  Checks of fumen strings: known boards and round trips of worlds
+
+    npm test
+ */
+
+const assert = require('assert')
+const {TetrisFumen, TetrisGame} = require('../index')
+const {check} = require('./check')
+
+/**
+ * @param {TetrisWorld} world
+ * @returns {Array.<Array.<(String|null)>>} Kinds by cells
+ */
+function getKinds (world) {
+  return Array.from({length: world.height}, (_, y) => Array.from({length: world.width}, (_, x) => world.getKind(x, y)))
+}
+
+check('TetrisFumen decodes and encodes known fumen strings', _ => {
+  const empty = TetrisFumen.decode('v115@vhAAgH')
+  assert.strictEqual(empty.toString(), new Array(20).fill('..........').join('\n'))
+  assert.strictEqual(TetrisFumen.encode(empty), 'v115@vhAAgH')
+
+  // Grey cells: a well 4 cells wide on the right of the 4 bottom rows
+  const well = TetrisFumen.decode('v115@9gF8DeF8DeF8DeF8NeAgH')
+  assert.strictEqual(well.toString(), new Array(16).fill('..........').concat(new Array(4).fill('######....')).join('\n'))
+  assert.deepStrictEqual(getKinds(well), new Array(20).fill(new Array(10).fill(null)))
+  assert.strictEqual(TetrisFumen.encode(well), 'v115@9gF8DeF8DeF8DeF8NeAgH')
+})
+
+check('TetrisFumen decodes the worlds which it encodes with kinds of cells', _ => {
+  for (const seed of [1, 2, 3]) {
+    const game = TetrisGame.fromConfig({seed})
+    for (let i = 0; i < 10 && game.step(); i++) {}
+    const {world} = game
+    assert.ok(getKinds(world).some(row => row.some(kind => kind !== null)), 'The world has locked figures')
+    const text = TetrisFumen.encode(world)
+    assert.ok(text.includes('?'), 'A long string is broken every 47 chars')
+    const decoded = TetrisFumen.decode(text)
+    assert.strictEqual(decoded.toString(), world.toString())
+    assert.deepStrictEqual(getKinds(decoded), getKinds(world))
+    assert.strictEqual(TetrisFumen.encode(decoded), text)
+  }
+})
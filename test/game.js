@@ -0,0 +1,112 @@
+/*
+  Checks of a game session: turns, the hold slot, line clears and the score
+
+    npm test
+ */
+
+const assert = require('assert')
+const {TetrisGame, TetrisPlan, TetrisWorld} = require('../index')
+const {check} = require('./check')
+
+check('TetrisGame plays a figure which rests at its spawn point with an empty plan', _ => {
+  const game = TetrisGame.fromConfig({
+    board: [
+      '####..####',
+      '####..####',
+      '#########.'
+    ].join('\n'),
+    pieces: 'O',
+    hardDrop: false
+  })
+  const {plan, lines} = game.step()
+  assert.deepStrictEqual(plan.actions, [])
+  assert.strictEqual(lines, 2) // the figure fills the gap of both rows
+  assert.strictEqual(game.pieces, 1)
+})
+
+check('TetrisGame keeps the hold slot when a hold cannot spawn a figure', _ => {
+  const game = TetrisGame.fromConfig({pieces: 'T', hold: true})
+  game.spawn()
+  assert.strictEqual(game.holdFigure(), null)
+  assert.strictEqual(game.act(TetrisPlan.ACTION.HOLD), false)
+  assert.strictEqual(game.hold, null)
+  assert.strictEqual(game.canHold, true)
+  assert.strictEqual(game.isOver, true)
+})
+
+/**
+ * A vertical I with its bottom cell at the bottom left corner of a world
+ * @param {TetrisWorld} world
+ * @returns {TetrisFigure}
+ */
+function createVerticalI (world) {
+  const figure = world.spawn('I').rotate(270)
+  const [[xMin], [, yMax]] = figure.getBounds()
+  return figure.move([-xMin, world.height - 1 - yMax])
+}
+
+check('TetrisGame clears full rows and scores 100, 300, 500 and 800 points by the level', _ => {
+  for (const [count, points] of [[1, 100], [2, 300], [3, 500], [4, 800]]) {
+    for (const level of [1, 3]) {
+      const rows = Array.from({length: 6}, (_, y) => y < 6 - count ? '..........' : '.#########')
+      rows[1] = '.#........' // a wall above the cleared rows goes down
+      const game = new TetrisGame(TetrisWorld.fromString(rows.join('\n')))
+      game.lines = (level - 1) * TetrisGame.LINES_PER_LEVEL
+      assert.strictEqual(game.level, level)
+
+      assert.strictEqual(game.lock(createVerticalI(game.world)), count)
+      assert.strictEqual(game.score, points * level)
+      assert.strictEqual(game.lines, (level - 1) * TetrisGame.LINES_PER_LEVEL + count)
+      assert.strictEqual(game.pieces, 1)
+      // The rest of the figure and the wall above go down by the count of cleared rows
+      const expected = new Array(6).fill('..........')
+      expected[1 + count] = '.#........'
+      for (let y = 2 + count; y < 6; y++) {
+        expected[y] = '#.........'
+      }
+      assert.strictEqual(game.world.toString(), expected.join('\n'))
+    }
+  }
+})
+
+check('TetrisGame goes to the next level every 10 lines', _ => {
+  const game = new TetrisGame(TetrisWorld.fromString('..........'))
+  assert.strictEqual(game.level, 1)
+  game.lines = 9
+  assert.strictEqual(game.level, 1)
+  game.lines = 10
+  assert.strictEqual(game.level, 2)
+  game.lines = 25
+  assert.strictEqual(game.level, 3)
+})
+
+check('TetrisGame spawns figures from the queue until one cannot be located', _ => {
+  const game = TetrisGame.fromConfig({
+    board: [
+      '..........',
+      '..........',
+      '..........',
+      '....##....'
+    ].join('\n'),
+    pieces: 'TOI',
+    preview: 1
+  })
+  const figure = game.spawn()
+  assert.strictEqual(figure.kind, 'T')
+  assert.ok(game.world.mayLocate(figure))
+  assert.deepStrictEqual(game.previews, ['O'])
+  assert.strictEqual(game.isOver, false)
+
+  // The stack reaches the spawn point of the next figures
+  game.world = TetrisWorld.fromString([
+    '....##....',
+    '....##....',
+    '....##....',
+    '....##....'
+  ].join('\n'))
+  game.figure = null
+  assert.strictEqual(game.step(), null)
+  assert.strictEqual(game.isOver, true)
+  assert.strictEqual(game.figure, null)
+  assert.strictEqual(game.step(), null)
+})
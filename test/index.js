@@ -0,0 +1,15 @@
+/*
+  Runs every file of checks, a failed check of any file fails the run
+
+    npm test
+ */
+
+require('./algorithms')
+require('./game')
+require('./planner')
+require('./rotation')
+require('./randomizers')
+require('./fumen')
+require('./tbp')
+require('./tools')
+require('./modules')
@@ -0,0 +1,28 @@
+/*
+  Checks of the entry point for Node.js: the files share a scope of their own and keep their names
+
+    npm test
+ */
+
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const {TetrisWorld, TetrisGame} = require('../index')
+const {check} = require('./check')
+
+check('index.js leaves the global object as it is', _ => {
+  for (const name of ['TetrisWorld', 'TetrisGame', 'RotationSystem', 'Random']) {
+    assert.ok(!(name in global), name)
+  }
+  // script.js finds RotationSystem and TetrisEvaluator of the files after it
+  assert.ok(TetrisGame.fromConfig({seed: 1}).step())
+})
+
+check('index.js keeps names and lines of the files in stack traces', _ => {
+  const filename = path.join(__dirname, '..', 'script.js')
+  const line = fs.readFileSync(filename, 'utf8').split('\n').findIndex(text => text.includes('Unknown cell')) + 1
+  assert.throws(_ => TetrisWorld.fromString('x'), err => {
+    assert.ok(err.stack.includes(`${filename}:${line}:`), err.stack)
+    return true
+  })
+})
@@ -0,0 +1,39 @@
+/*
+  Checks of the planner: answers of a worker, progress while it plans and failures of a worker
+
+    npm test
+ */
+
+const assert = require('assert')
+const {TetrisGame, TetrisPlanner} = require('../index')
+const {check} = require('./check')
+
+check('TetrisPlanner gets progress of a local worker before the plan', _ => {
+  const game = TetrisGame.fromConfig({seed: 42, preview: 1})
+  const planner = TetrisPlanner.factory(TetrisPlanner.TYPE.LOCAL)
+  const events = []
+  const planned = planner.plan(game.world, game.spawn(), game.getSolverOptions(), _ => events.push('progress'))
+  // The worker plans in the next task, this one comes right after it
+  setTimeout(_ => events.push('after the search'), 0)
+  return planned.then(({plan}) => {
+    assert.ok(plan.placement)
+    assert.strictEqual(events[0], 'progress')
+    assert.strictEqual(events[events.length - 1], 'after the search')
+  })
+})
+
+check('TetrisPlanner rejects the plans on the way when its worker fails', _ => {
+  const game = TetrisGame.fromConfig({seed: 42})
+  let worker = null
+  const planner = new TetrisPlanner(_ => {
+    worker = {postMessage () {}, terminate () { this.isTerminated = true }}
+    return worker
+  })
+  const planned = planner.plan(game.world, game.spawn())
+  worker.onerror({message: 'importScripts failed'})
+  return planned.then(_ => assert.fail('The plan has come'), err => {
+    assert.ok(err.message.includes('importScripts failed'))
+    assert.ok(worker.isTerminated)
+    assert.strictEqual(planner.isBusy, false)
+  })
+})
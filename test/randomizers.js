@@ -0,0 +1,86 @@
+/*
+  Checks of the randomizers: the 7-bag and the reroll rules of NES and TGM1
+
+    npm test
+ */
+
+const assert = require('assert')
+const {Random, Randomizer, TetrisFigure} = require('../index')
+const {check} = require('./check')
+
+const KINDS = ['I', 'O', 'T', 'S', 'Z', 'J', 'L']
+
+/**
+ * Stands in for Random with given results of nextInt, so every roll of a randomizer is known
+ * @param {Array.<Number>} ints
+ * @returns {Object}
+ */
+function createScriptedRandom (ints) {
+  const rest = ints.slice()
+  return {
+    nextInt (min, max) {
+      assert.ok(rest.length > 0, 'The randomizer rolls more than expected')
+      const int = rest.shift()
+      assert.ok(int >= min && int <= max, `${int} is out of [${min}, ${max}]`)
+      return int
+    },
+    get rest () {
+      return rest.length
+    }
+  }
+}
+
+check('BagRandomizer deals every kind once per bag', _ => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const randomizer = Randomizer.factory(Randomizer.TYPE.BAG, new Random(seed), TetrisFigure.getKinds())
+    for (let bag = 0; bag < 10; bag++) {
+      const kinds = Array.from({length: KINDS.length}, _ => randomizer.next())
+      assert.deepStrictEqual(kinds.sort(), KINDS.slice().sort(), `seed ${seed}, bag ${bag}`)
+    }
+  }
+})
+
+check('Randomizers deal the same kinds for the same seed', _ => {
+  for (const type of Object.values(Randomizer.TYPE)) {
+    const deal = seed => {
+      const randomizer = Randomizer.factory(type, new Random(seed), KINDS)
+      return Array.from({length: 50}, _ => randomizer.next())
+    }
+    assert.deepStrictEqual(deal(42), deal(42), type)
+    assert.notDeepStrictEqual(deal(42), deal(43), type)
+  }
+})
+
+check('NesRandomizer rerolls once on the extra side or on the previous kind', _ => {
+  const random = createScriptedRandom([
+    2, // T
+    7, // the extra side: a reroll
+    0, // I
+    0, // I again: a reroll
+    0, // the reroll may give the previous kind, it stays then
+    3 // S
+  ])
+  const randomizer = Randomizer.factory(Randomizer.TYPE.NES, random, KINDS)
+  assert.deepStrictEqual(Array.from({length: 4}, _ => randomizer.next()), ['T', 'I', 'I', 'S'])
+  assert.strictEqual(random.rest, 0)
+})
+
+check('HistoryRandomizer of TGM1 rolls up to 4 times against the last 4 kinds', _ => {
+  const random = createScriptedRandom([
+    0, // the first kind is one of I, T, J, L (no rolls against the history)
+    4, 2, // Z is in the history (Z, Z, Z, I), T is not
+    4, 0, 2, 4, // Z, I and T are in the history (Z, Z, I, T), the 4th roll stays anyway
+    5 // J
+  ])
+  const randomizer = Randomizer.factory(Randomizer.TYPE.TGM, random, KINDS)
+  assert.deepStrictEqual(Array.from({length: 4}, _ => randomizer.next()), ['I', 'T', 'Z', 'J'])
+  assert.deepStrictEqual(randomizer.history, ['I', 'T', 'Z', 'J'])
+  assert.strictEqual(random.rest, 0)
+})
+
+check('HistoryRandomizer of TGM1 never starts with S, Z or O', _ => {
+  for (let seed = 1; seed <= 200; seed++) {
+    const randomizer = Randomizer.factory(Randomizer.TYPE.TGM, new Random(seed), KINDS)
+    assert.ok(!['S', 'Z', 'O'].includes(randomizer.next()), `seed ${seed}`)
+  }
+})
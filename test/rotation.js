@@ -0,0 +1,129 @@
+/*
+  Checks of SRS kicks and of unrotate which the backward search uses to find the states before a rotation
+
+    npm test
+ */
+
+const assert = require('assert')
+const {TetrisWorld, RotationSystem} = require('../index')
+const {check} = require('./check')
+
+// Rotations by 270 degrees go clockwise (see TetrisGame.getNextState)
+const CW = 270
+const CCW = 90
+
+/**
+ * @param {TetrisFigure} figure
+ * @returns {String} Cells and the orientation
+ */
+function getKey (figure) {
+  return figure.toArray().map(String).sort().join(' ') + ` ${figure.orientation}`
+}
+
+/**
+ * A figure of a kind which is moved so its bounds start at x, y
+ * @param {TetrisWorld} world
+ * @param {String} kind
+ * @param {Number} x
+ * @param {Number} y
+ * @returns {TetrisFigure}
+ */
+function createFigure (world, kind, x, y) {
+  const figure = world.spawn(kind)
+  const [[xMin, yMin]] = figure.getBounds()
+  return figure.move([x - xMin, y - yMin])
+}
+
+/**
+ * Checks that a rotation goes to the cells with the kick and unrotate finds the figure back
+ * @param {TetrisWorld} world
+ * @param {TetrisFigure} figure
+ * @param {Number} degree
+ * @param {Array.<Array.<Number>>} cells
+ * @param {Number} kick
+ * @returns {TetrisFigure} The rotated figure
+ */
+function checkRotation (world, figure, degree, cells, kick) {
+  const rotationSystem = RotationSystem.factory(RotationSystem.TYPE.SRS)
+  const rotated = rotationSystem.rotate(world, figure, degree)
+  assert.ok(rotated !== null)
+  assert.deepStrictEqual(rotated.toArray().map(String).sort(), cells.map(String).sort())
+  assert.strictEqual(rotated.kick, kick)
+
+  const variants = rotationSystem.unrotate(world, rotated, degree)
+  assert.deepStrictEqual(variants.map(({state, kick}) => [getKey(state), kick]), [[getKey(figure), kick]])
+  return rotated
+}
+
+check('RotationSystem kicks a T into the slot of a T-spin triple and unrotate finds it back', _ => {
+  const world = TetrisWorld.fromString([
+    '..........',
+    '..........',
+    '.#........',
+    '..........',
+    '#.########',
+    '#..#######',
+    '#.########'
+  ].join('\n'))
+  // The T points up over the slot, the last kick of 0->R (-1, -2) is the only one which fits
+  const figure = createFigure(world, 'T', 1, 2)
+  const rotated = checkRotation(world, figure, CW, [[1, 4], [1, 5], [1, 6], [2, 5]], 4)
+  assert.strictEqual(world.place(rotated).lines, 3)
+})
+
+check('RotationSystem kicks an I up from the floor at the wall and unrotate finds it back', _ => {
+  const world = TetrisWorld.fromString([
+    '..........',
+    '..........',
+    '..........',
+    '..........'
+  ].join('\n'))
+  // The last kick of 0->R for the I (1, 2) is the only one which stays inside of the world
+  const figure = createFigure(world, 'I', 6, 3)
+  checkRotation(world, figure, CW, [[9, 0], [9, 1], [9, 2], [9, 3]], 4)
+})
+
+check('RotationSystem.unrotate finds exactly the states which rotate into a state', _ => {
+  const rotationSystem = RotationSystem.factory(RotationSystem.TYPE.SRS)
+  const world = TetrisWorld.fromString([
+    '..........',
+    '..........',
+    '.#........',
+    '..........',
+    '#.######..',
+    '#..####...',
+    '#.#####.#.'
+  ].join('\n'))
+  for (const kind of ['I', 'O', 'T', 'S', 'Z', 'J', 'L']) {
+    // Every state which may be located in the world
+    const states = []
+    let figure = world.spawn(kind)
+    for (let orientation = 0; orientation < 4; orientation++) {
+      for (let dy = -world.height; dy <= world.height; dy++) {
+        for (let dx = -world.width; dx <= world.width; dx++) {
+          const state = figure.clone().move([dx, dy])
+          if (world.mayLocate(state)) {
+            states.push(state)
+          }
+        }
+      }
+      figure = figure.clone().rotate(CW)
+    }
+
+    for (const degree of [CW, CCW]) {
+      // The baseline: states before the rotation with the kicks by the states after it
+      const expected = new Map()
+      for (const state of states) {
+        const rotated = rotationSystem.rotate(world, state, degree)
+        if (rotated) {
+          const key = getKey(rotated)
+          expected.set(key, (expected.get(key) || []).concat(`${getKey(state)} ${rotated.kick}`))
+        }
+      }
+      for (const state of states) {
+        const found = rotationSystem.unrotate(world, state, degree).map(({state, kick}) => `${getKey(state)} ${kick}`)
+        assert.deepStrictEqual(found.sort(), (expected.get(getKey(state)) || []).sort(), `${kind}: ${getKey(state)}`)
+      }
+    }
+  }
+})
@@ -0,0 +1,122 @@
+/*
+  Checks of the Tetris Bot Protocol: locations of pieces and a scripted exchange with the bot
+
+    npm test
+ */
+
+const assert = require('assert')
+const path = require('path')
+const {spawnSync} = require('child_process')
+const {TetrisProblemSolver} = require('../index')
+const {TetrisTbpPosition, TetrisTbpBot} = require('../tbp')
+const {check} = require('./check')
+
+const {MESSAGE} = TetrisTbpBot
+
+/**
+ * @param {Array.<Array.<Number>>} cells
+ * @returns {Array.<String>}
+ */
+function sortCells (cells) {
+  return cells.map(String).sort()
+}
+
+check('TetrisTbpPosition gives cells of pieces by their centers and orientations', _ => {
+  assert.deepStrictEqual(sortCells(TetrisTbpPosition.getCells({type: 'I', orientation: 'north', x: 4, y: 0})),
+    sortCells([[3, 0], [4, 0], [5, 0], [6, 0]]))
+  assert.deepStrictEqual(sortCells(TetrisTbpPosition.getCells({type: 'I', orientation: 'east', x: 4, y: 3})),
+    sortCells([[4, 4], [4, 3], [4, 2], [4, 1]]))
+  assert.deepStrictEqual(sortCells(TetrisTbpPosition.getCells({type: 'T', orientation: 'east', x: 1, y: 1})),
+    sortCells([[1, 0], [1, 1], [1, 2], [2, 1]]))
+  assert.deepStrictEqual(sortCells(TetrisTbpPosition.getCells({type: 'T', orientation: 'south', x: 1, y: 1})),
+    sortCells([[0, 1], [1, 1], [2, 1], [1, 0]]))
+  assert.deepStrictEqual(sortCells(TetrisTbpPosition.getCells({type: 'O', orientation: 'north', x: 4, y: 0})),
+    sortCells([[4, 0], [5, 0], [4, 1], [5, 1]]))
+  assert.throws(_ => TetrisTbpPosition.getCells({type: 'T', orientation: 'up', x: 1, y: 1}), /Unknown orientation/)
+})
+
+check('TetrisTbpPosition gives locations of figures of a world in every orientation', _ => {
+  const position = new TetrisTbpPosition()
+  const world = position.toWorld()
+  const expected = {
+    'I': {orientation: 'north', x: 4, y: 0},
+    'O': {orientation: 'north', x: 4, y: 0},
+    'T': {orientation: 'north', x: 4, y: 0}
+  }
+  for (const kind of ['I', 'O', 'T', 'S', 'Z', 'J', 'L']) {
+    let figure = world.spawn(kind)
+    for (let orientation = 0; orientation < 4; orientation++) {
+      // The figure on the floor (y goes down in the world and up in TBP)
+      const fallingStates = TetrisProblemSolver.fall(world, figure)
+      const state = fallingStates.length > 0 ? fallingStates[fallingStates.length - 1] : figure
+      const location = TetrisTbpPosition.getLocation(world, state)
+      assert.strictEqual(location.type, kind)
+      if (kind !== 'O') {
+        // Rotations by 270 degrees go clockwise as orientations of TBP do
+        assert.strictEqual(location.orientation, TetrisTbpPosition.ORIENTATION[orientation])
+      }
+      assert.deepStrictEqual(sortCells(TetrisTbpPosition.getCells(location)),
+        sortCells(state.toArray().map(([x, y]) => [x, world.height - 1 - y])), `${kind}: ${location.orientation}`)
+      if (orientation === 0 && expected[kind]) {
+        assert.deepStrictEqual(location, Object.assign({type: kind}, expected[kind]))
+      }
+      figure = figure.clone().rotate(270)
+    }
+  }
+})
+
+check('TetrisTbpBot answers rules, start, suggest, play and new_piece with valid moves', _ => {
+  const bot = new TetrisTbpBot({preview: 1})
+  const frontend = new TetrisTbpPosition({queue: ['T', 'I', 'O']})
+  assert.strictEqual(bot.getInfo().type, MESSAGE.INFO)
+  assert.deepStrictEqual(bot.handle({type: MESSAGE.RULES}), [{type: MESSAGE.READY}])
+  assert.deepStrictEqual(bot.handle({
+    type: MESSAGE.START,
+    board: frontend.board,
+    queue: frontend.queue,
+    hold: null,
+    combo: 0,
+    back_to_back: false
+  }), [])
+  assert.throws(_ => new TetrisTbpBot().handle({type: MESSAGE.PLAY, move: {}}), /has not started/)
+
+  for (const piece of ['S', 'Z', 'L', 'J']) {
+    const [suggestion] = bot.handle({type: MESSAGE.SUGGEST})
+    assert.strictEqual(suggestion.type, MESSAGE.SUGGESTION)
+    const [move] = suggestion.moves
+    assert.ok(move, 'The bot suggests a move')
+    assert.strictEqual(move.spin, TetrisTbpBot.SPIN.NONE)
+    assert.ok(suggestion.move_info.nodes > 0)
+    // The frontend checks the move and both play it
+    frontend.play(move)
+    assert.deepStrictEqual(bot.handle({type: MESSAGE.PLAY, move}), [])
+    frontend.queue.push(piece)
+    assert.deepStrictEqual(bot.handle({type: MESSAGE.NEW_PIECE, piece}), [])
+    assert.deepStrictEqual(bot.position.board, frontend.board)
+    assert.deepStrictEqual(bot.position.queue, frontend.queue)
+  }
+
+  assert.deepStrictEqual(bot.handle({type: 'unknown'}), [])
+  assert.deepStrictEqual(bot.handle({type: MESSAGE.QUIT}), [])
+  assert.strictEqual(bot.position, null)
+})
+
+check('tbp.js speaks JSON lines on stdin and stdout', _ => {
+  const messages = [
+    {type: MESSAGE.RULES},
+    {type: MESSAGE.START, board: new TetrisTbpPosition().board, queue: ['I', 'T'], hold: null, combo: 0, back_to_back: false},
+    {type: MESSAGE.SUGGEST},
+    {type: MESSAGE.QUIT}
+  ]
+  const {stdout, status} = spawnSync(process.execPath, [path.join(__dirname, '..', 'tbp.js'), '--preview', '1'], {
+    input: messages.map(message => JSON.stringify(message)).join('\n') + '\n',
+    encoding: 'utf8',
+    timeout: 60000
+  })
+  assert.strictEqual(status, 0)
+  const replies = stdout.trim().split('\n').map(line => JSON.parse(line))
+  assert.deepStrictEqual(replies.map(reply => reply.type), [MESSAGE.INFO, MESSAGE.READY, MESSAGE.SUGGESTION])
+  const [move] = replies[2].moves
+  assert.strictEqual(move.location.type, 'I')
+  assert.strictEqual(new TetrisTbpPosition({queue: ['I', 'T']}).play(move), 0)
+})
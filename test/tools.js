@@ -0,0 +1,103 @@
+/*
+  Smoke checks of the benchmark, the tuner and the environment with tiny budgets:
+  shapes of their results and the same results for the same seeds
+
+    npm test
+ */
+
+const assert = require('assert')
+const {Random, TetrisEvaluator, TetrisEnvironment} = require('../index')
+const {parseSeeds, summarize, benchmark, toCSV} = require('../benchmark')
+const {toWeights, createFitness, crossEntropy, genetic} = require('../tuner')
+const {check} = require('./check')
+
+/**
+ * A result without planning times, they differ from run to run
+ * @param {Array.<Object>} results See benchmark
+ * @returns {Array.<Object>}
+ */
+function withoutTimes (results) {
+  return results.map(({name, config, summary, runs}) => ({
+    name,
+    config,
+    summary: Object.assign({}, summary, {time: null}),
+    runs: runs.map(run => Object.assign({}, run, {times: null}))
+  }))
+}
+
+check('parseSeeds and summarize read seeds and give nearest-rank percentiles', _ => {
+  assert.deepStrictEqual(parseSeeds('1-3,7'), [1, 2, 3, 7])
+  assert.throws(_ => parseSeeds('3-1'), /Wrong seeds/)
+  assert.deepStrictEqual(summarize([5, 1, 4, 2, 3, 6, 7, 8, 9, 10]), {count: 10, min: 1, max: 10, mean: 5.5, median: 5, p90: 9})
+  assert.deepStrictEqual(summarize([]), {count: 0, min: 0, max: 0, mean: 0, median: 0, p90: 0})
+})
+
+check('benchmark gives the same summary and runs for the same seeds', _ => {
+  const configs = [{name: 'default', config: {preview: 1}}]
+  const results = benchmark(configs, [1, 2], 5)
+  assert.strictEqual(results.length, 1)
+  const [{name, summary, runs}] = results
+  assert.strictEqual(name, 'default')
+  assert.strictEqual(runs.length, 2)
+  assert.deepStrictEqual(runs.map(run => run.seed), [1, 2])
+  for (const run of runs) {
+    assert.ok(run.pieces <= 5)
+    assert.strictEqual(run.nodes.length, run.pieces)
+    assert.strictEqual(run.times.length, run.pieces)
+  }
+  assert.strictEqual(summary.games, 2)
+  assert.strictEqual(summary.pieces, runs[0].pieces + runs[1].pieces)
+  assert.strictEqual(summary.nodes.count, summary.pieces)
+  assert.deepStrictEqual(withoutTimes(benchmark(configs, [1, 2], 5)), withoutTimes(results))
+
+  const [header, row] = toCSV(results).trim().split('\n')
+  assert.strictEqual(header.split(',').length, row.split(',').length)
+  assert.ok(row.startsWith('default,2,'))
+})
+
+check('crossEntropy and genetic find the same weights for the same seed', _ => {
+  const fitness = createFitness({}, [1], 3)
+  const size = Object.keys(TetrisEvaluator.FEATURE).length
+  for (const search of [crossEntropy, genetic]) {
+    const tune = _ => {
+      const generations = []
+      const best = search(fitness, {
+        size,
+        generations: 2,
+        population: 4,
+        random: new Random(7),
+        onGeneration: (generation, best) => generations.push([generation, best.fitness])
+      })
+      return {best, generations}
+    }
+    const {best, generations} = tune()
+    assert.strictEqual(best.vector.length, size)
+    assert.strictEqual(typeof best.fitness, 'number')
+    assert.deepStrictEqual(generations.map(([generation]) => generation), [1, 2])
+    assert.deepStrictEqual(Object.keys(toWeights(best.vector)), Object.values(TetrisEvaluator.FEATURE))
+    assert.deepStrictEqual(tune(), {best, generations}, search.name)
+  }
+})
+
+check('TetrisEnvironment plays the same episode with the search agent for the same seed', _ => {
+  const play = _ => {
+    const env = new TetrisEnvironment({maxPieces: 5, rewards: {lines: 1, holes: -0.5, gameOver: -10}})
+    const observations = [env.reset(3)]
+    const rewards = []
+    let done = false
+    while (!done) {
+      const [action] = env.getAgentActions()
+      assert.ok(env.legalActions().some(legal => TetrisEnvironment.getKey(legal) === TetrisEnvironment.getKey(action)))
+      const step = env.step(action)
+      assert.deepStrictEqual(Object.keys(step), ['observation', 'reward', 'done', 'info'])
+      assert.strictEqual(step.info.isLegal, true)
+      observations.push(step.observation)
+      rewards.push(step.reward)
+      done = step.done
+    }
+    assert.strictEqual(env.game.pieces, 5)
+    assert.throws(_ => env.step(0), /over/)
+    return {observations, rewards}
+  }
+  assert.deepStrictEqual(play(), play())
+})
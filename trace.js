@@ -0,0 +1,235 @@
+/*
+  Dependencies
+
+    Tetris:
+      + TetrisWorld
+      + TetrisFigure
+ */
+
+/**
+ * Collects what the solver does in a world: which states it expands, how the frontier grows
+ * and which candidate placements it rejects (see the hooks of bestFirstGraphSearch)
+ */
+class TetrisSearchTrace {
+  /**
+   * @param {TetrisWorld} world A world where the solver plans a figure
+   */
+  constructor (world) {
+    this.world = world.clone()
+    this.heat = Array.from({length: world.height}, _ => new Array(world.width).fill(0)) // expanded states per cell
+    this.frontierSizes = [] // a series per search, a size per expansion
+    this.searches = [] // cells of the candidate placement per search (null for a search of every placement)
+    this.candidates = [] // placements in the order the solver has tried them
+    this.expanded = 0
+    this.enqueued = 0
+    this.improved = 0
+  }
+  /**
+   * Starts a new search of a path
+   * @param {TetrisFigure|null} placement A candidate placement (null for a search of every placement)
+   */
+  onSearch (placement) {
+    this.frontierSizes.push([])
+    this.searches.push(placement ? placement.toArray() : null)
+  }
+  /**
+   * @param {GraphNode} node
+   * @param {PriorityQueue} frontier
+   */
+  onExpand (node, frontier) {
+    this.expanded++
+    node.state.each((_, y, x) => {
+      if (this.world.inRangePoint([x, y])) {
+        this.heat[y][x]++
+      }
+    })
+    this.frontierSizes[this.frontierSizes.length - 1].push(frontier.length())
+  }
+  /**
+   * @param {GraphNode} node
+   * @param {PriorityQueue} frontier
+   */
+  onEnqueue (node, frontier) {
+    this.enqueued++
+  }
+  /**
+   * @param {GraphNode} node
+   * @param {GraphNode} incumbent
+   * @param {PriorityQueue} frontier
+   */
+  onImprove (node, incumbent, frontier) {
+    this.improved++
+  }
+  /**
+   * @param {TetrisFigure} state
+   * @param {Number} estimation
+   * @param {Boolean} isReachable The search has found a path to it
+   */
+  onCandidate (state, estimation, isReachable) {
+    this.candidates.push({id: state.id, cells: state.toArray(), estimation, isReachable})
+  }
+  /**
+   * Hooks for bestFirstGraphSearch
+   * @returns {Object.<String, Function>}
+   */
+  getHooks () {
+    return {
+      onExpand: (node, frontier) => this.onExpand(node, frontier),
+      onEnqueue: (node, frontier) => this.onEnqueue(node, frontier),
+      onImprove: (node, incumbent, frontier) => this.onImprove(node, incumbent, frontier)
+    }
+  }
+  /**
+   * What the search has done without the world (e.g. for a trace from a worker, see TetrisPlanner)
+   * @returns {Object}
+   */
+  toJSON () {
+    const {heat, frontierSizes, searches, candidates, expanded, enqueued, improved} = this
+    return {heat, frontierSizes, searches, candidates, expanded, enqueued, improved}
+  }
+  /**
+   * @param {TetrisWorld} world The world of the search
+   * @param {Object} json See toJSON
+   * @returns {TetrisSearchTrace}
+   */
+  static fromJSON (world, json) {
+    return Object.assign(new this(world), json)
+  }
+  /**
+   * Shows explored states as a heat map, rejected candidates and the chosen placement over the world
+   * and the size of the frontier over time
+   * @param {TetrisFigure|null} placement The chosen placement
+   * @return {HTMLElement}
+   */
+  renderToHtmlElement (placement) {
+    const {THING} = this.world.constructor
+    const rows = this.world.toArray()
+    const maxHeat = Math.max(1, ...this.heat.map(row => Math.max(...row)))
+
+    // Marks of cells: the chosen placement wins over unreachable candidates,
+    // they win over reachable but worse ones
+    const marks = rows.map(row => row.map(_ => null))
+    const mark = (cells, type) => {
+      for (const [x, y] of cells) {
+        if (this.world.inRangePoint([x, y]) && (type === 'chosen' || (marks[y][x] !== 'chosen' && marks[y][x] !== 'unreachable'))) {
+          marks[y][x] = type
+        }
+      }
+    }
+    const chosenId = placement ? placement.id : null
+    for (const {id, cells, isReachable} of this.candidates) {
+      if (id !== chosenId) {
+        mark(cells, isReachable ? 'worse' : 'unreachable')
+      }
+    }
+    if (placement) {
+      mark(placement.toArray(), 'chosen')
+    }
+
+    // The series of searches go one after another on the chart
+    const sizes = [].concat(...this.frontierSizes)
+    const maxSize = Math.max(1, ...sizes)
+    const chartWidth = 600
+    const chartHeight = 120
+    const points = sizes.map((size, i) => {
+      const x = sizes.length > 1 ? i / (sizes.length - 1) * chartWidth : 0
+      const y = chartHeight - size / maxSize * chartHeight
+      return `${x.toFixed(1)},${y.toFixed(1)}`
+    }).join(' ')
+    // A search starts at a line, its candidate shows on hover
+    let start = 0
+    const searches = this.frontierSizes.map((series, i) => {
+      const cells = this.searches[i]
+      const left = sizes.length > 1 ? start / (sizes.length - 1) * chartWidth : 0
+      start += series.length
+      return {
+        x: left.toFixed(1),
+        title: cells ? `A search of the candidate ${cells.map(([x, y]) => `(${x}, ${y})`).join(' ')}` : 'A search of every placement'
+      }
+    })
+
+    const stats = `searches: ${this.frontierSizes.length}, expanded: ${this.expanded}, ` +
+      `enqueued: ${this.enqueued}, improved: ${this.improved}, ` +
+      `candidates: ${this.candidates.length} (unreachable: ${this.candidates.filter(c => !c.isReachable).length})`
+    const heat = this.heat
+
+    const vm = new Vue({
+      el: document.createElement('div'),
+      data () {
+        return {
+          rows,
+          marks,
+          stats,
+          points,
+          searches,
+          chartWidth,
+          chartHeight,
+          maxSize
+        }
+      },
+      methods: {
+        getStyle (v, x, y) {
+          const colors = {
+            chosen: '#337ab7',
+            unreachable: '#d9534f',
+            worse: '#f0ad4e'
+          }
+          const style = {width: '24px', height: '24px'}
+          if (v === THING.WALL) {
+            style.backgroundColor = '#6c757d'
+          } else if (heat[y][x] > 0) {
+            style.backgroundColor = `rgba(92, 184, 92, ${(heat[y][x] / maxHeat).toFixed(2)})`
+          }
+          if (marks[y][x]) {
+            style.boxShadow = `inset 0 0 0 3px ${colors[marks[y][x]]}`
+          }
+          return style
+        }
+      },
+      template: `
+        <div>
+          <hr/>
+          <p v-text="stats"></p>
+          <p class="small text-muted">
+            Green cells are covered by expanded states (darker is more often).
+            Outlines: <span class="text-primary">the chosen placement</span>,
+            <span class="text-danger">unreachable candidates</span>,
+            <span class="text-warning">reachable but worse candidates</span>
+          </p>
+          <table class="table table-bordered"
+                 style="width: auto;">
+            <tbody>
+              <tr v-for="(row, y) in rows">
+                <td v-for="(cell, x) in row"
+                    v-bind:style="getStyle(cell, x, y)"></td>
+              </tr>
+            </tbody>
+          </table>
+          <p>Frontier size over expansions (max {{ maxSize }}), a grey line starts a search of a candidate (hover it)</p>
+          <svg v-bind:width="chartWidth"
+               v-bind:height="chartHeight"
+               style="border: 1px solid #ddd;">
+            <line v-for="search in searches"
+                  v-bind:x1="search.x"
+                  v-bind:x2="search.x"
+                  y1="0"
+                  v-bind:y2="chartHeight"
+                  stroke="#ddd"
+                  stroke-width="3">
+              <title v-text="search.title"></title>
+            </line>
+            <polyline v-bind:points="points"
+                      fill="none"
+                      stroke="#337ab7"/>
+          </svg>
+        </div>
+      `
+    })
+    return vm.$el
+  }
+}
+
+if (typeof module !== 'undefined') {
+  // Node.js (see index.js)
+  module.exports = {TetrisSearchTrace}
+}
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/*
+  Searches weights of the evaluator which clear the most lines in seeded games
+  and saves the best ones as a config of the evaluator (see TetrisEvaluator.fromJSON)
+
+    node tuner.js --method cem --out weights.json
+    node tuner.js --method ga --seeds 1-5 --count 200 --generations 20
+ */
+
+const fs = require('fs')
+const {Random, TetrisEvaluator} = require('./index')
+const {parseArgs} = require('./cli')
+const {parseSeeds, playGame} = require('./benchmark')
+
+const USAGE = `Usage: node tuner.js [options]
+
+Options:
+  --method <type>       cem (the cross-entropy method, default) or ga (a genetic algorithm)
+  --config <file>       A config of the agent for the games (see TetrisGame.fromConfig)
+  --seeds <seeds>       Seeds of games, e.g. 1-5 or 1,5,7 (1-2 by default)
+  --count <number>      Count of figures per game (50 by default)
+  --generations <n>     Count of generations (5 by default)
+  --population <n>      Count of weight vectors per generation (12 by default)
+  --seed <number>       Makes the search reproducible
+  --out <file>          Saves the best weights there, e.g. for cli.js --weights
+  --help                Shows this message
+`
+
+const FLAGS = ['help']
+
+const METHOD = {
+  'CEM': 'cem',
+  'GA': 'ga'
+}
+
+/**
+ * @param {Array.<Number>} vector
+ * @returns {Object.<String, Number>} Weights by features
+ */
+function toWeights (vector) {
+  const features = Object.values(TetrisEvaluator.FEATURE)
+  return features.reduce((weights, name, i) => Object.assign(weights, {[name]: vector[i]}), {})
+}
+
+/**
+ * Creates a fitness function: mean lines cleared in the seeded games
+ * @param {Object} config A config of the agent
+ * @param {Array.<Number>} seeds
+ * @param {Number} count
+ * @returns {Function} Gets a weight vector
+ */
+function createFitness (config, seeds, count) {
+  return vector => {
+    const gameConfig = Object.assign({}, config, {evaluator: {weights: toWeights(vector)}})
+    const lines = seeds.map(seed => playGame(gameConfig, seed, count).lines)
+    return lines.reduce((sum, v) => sum + v, 0) / lines.length
+  }
+}
+
+/**
+ * The cross-entropy method: samples vectors from a normal distribution
+ * and fits the distribution to the best of them (the elite)
+ * @see https://en.wikipedia.org/wiki/Cross-entropy_method
+ * (Szita and Lőrincz, "Learning Tetris Using the Noisy Cross-Entropy Method")
+ * @param {Function} fitness
+ * @param {Object} options
+ * @param {Number} options.size Length of a vector
+ * @param {Number} options.generations
+ * @param {Number} options.population
+ * @param {Random} options.random
+ * @param {Function} [options.onGeneration] Gets a number of a generation and the best {vector, fitness} so far
+ * @returns {{vector: Array.<Number>, fitness: Number}}
+ */
+function crossEntropy (fitness, {size, generations, population, random, onGeneration}) {
+  const eliteSize = Math.max(2, Math.round(population * 0.2))
+  let mean = new Array(size).fill(0)
+  let sd = new Array(size).fill(10)
+  let best = null
+
+  for (let generation = 1; generation <= generations; generation++) {
+    const samples = Array.from({length: population}, _ => {
+      const vector = mean.map((m, i) => random.nextGaussian(m, sd[i]))
+      return {vector, fitness: fitness(vector)}
+    })
+    const elite = samples.sort((a, b) => b.fitness - a.fitness).slice(0, eliteSize)
+    if (!best || elite[0].fitness > best.fitness) {
+      best = elite[0]
+    }
+
+    mean = mean.map((_, i) => elite.reduce((sum, s) => sum + s.vector[i], 0) / eliteSize)
+    // Extra noise keeps the distribution from collapsing too early
+    const noise = Math.max(0, 4 - generation * 0.5)
+    sd = sd.map((_, i) => {
+      const variance = elite.reduce((sum, s) => sum + (s.vector[i] - mean[i]) ** 2, 0) / eliteSize
+      return Math.sqrt(variance + noise)
+    })
+
+    if (onGeneration) {
+      onGeneration(generation, best)
+    }
+  }
+  return best
+}
+
+/**
+ * A simple genetic algorithm: tournament selection, uniform crossover,
+ * gaussian mutation and the best vector always survives
+ * @see https://en.wikipedia.org/wiki/Genetic_algorithm
+ * @param {Function} fitness
+ * @param {Object} options See crossEntropy
+ * @returns {{vector: Array.<Number>, fitness: Number}}
+ */
+function genetic (fitness, {size, generations, population, random, onGeneration}) {
+  const mutationRate = 0.2
+  const evaluate = vector => ({vector, fitness: fitness(vector)})
+  const select = individuals => {
+    // The better one of two random individuals
+    const a = individuals[random.nextInt(0, individuals.length - 1)]
+    const b = individuals[random.nextInt(0, individuals.length - 1)]
+    return a.fitness >= b.fitness ? a : b
+  }
+
+  let individuals = Array.from({length: population}, _ => {
+    return evaluate(Array.from({length: size}, _ => random.next() * 20 - 10))
+  })
+  let best = individuals.reduce((a, b) => b.fitness > a.fitness ? b : a)
+
+  for (let generation = 1; generation <= generations; generation++) {
+    const children = [best]
+    while (children.length < population) {
+      const a = select(individuals)
+      const b = select(individuals)
+      const vector = a.vector.map((v, i) => {
+        const gene = random.next() < 0.5 ? v : b.vector[i]
+        return random.next() < mutationRate ? gene + random.nextGaussian(0, 2) : gene
+      })
+      children.push(evaluate(vector))
+    }
+    individuals = children
+    best = individuals.reduce((a, b) => b.fitness > a.fitness ? b : a)
+
+    if (onGeneration) {
+      onGeneration(generation, best)
+    }
+  }
+  return best
+}
+
+/**
+ * @param {Array.<String>} argv
+ */
+function main (argv) {
+  const args = parseArgs(argv, FLAGS)
+  if (args.help) {
+    process.stdout.write(USAGE)
+    return
+  }
+
+  const method = args.method || METHOD.CEM
+  const search = {
+    [METHOD.CEM]: crossEntropy,
+    [METHOD.GA]: genetic
+  }[method]
+  if (!search) {
+    throw new Error('Unknown method')
+  }
+
+  const config = args.config ? JSON.parse(fs.readFileSync(args.config, 'utf8')) : {}
+  const seeds = parseSeeds(args.seeds || '1-2')
+  const count = args.count === undefined ? 50 : Number(args.count)
+  const random = new Random(args.seed === undefined ? undefined : Number(args.seed))
+  console.error(`seed: ${random.seed}`)
+
+  const best = search(createFitness(config, seeds, count), {
+    size: Object.keys(TetrisEvaluator.FEATURE).length,
+    generations: args.generations === undefined ? 5 : Number(args.generations),
+    population: args.population === undefined ? 12 : Number(args.population),
+    random,
+    onGeneration (generation, best) {
+      console.error(`generation ${generation}: ${best.fitness} lines`)
+    }
+  })
+
+  const evaluator = new TetrisEvaluator(toWeights(best.vector))
+  const json = JSON.stringify(Object.assign(evaluator.toJSON(), {
+    // It is not read back, it says where the weights come from
+    tuning: {method, seed: random.seed, seeds, count, lines: best.fitness}
+  }), null, 2) + '\n'
+
+  if (args.out) {
+    fs.writeFileSync(args.out, json)
+  }
+  process.stdout.write(json)
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2))
+  } catch (err) {
+    console.error(err.message)
+    console.error(USAGE)
+    process.exitCode = 1
+  }
+} else {
+  module.exports = {toWeights, createFitness, crossEntropy, genetic}
+}